@@ -2,15 +2,21 @@ import http from 'http';
 import path from 'path';
 import fs from 'fs';
 import url from 'url';
+import { spawn } from 'child_process';
+import { querySlate, playerHistory } from '../src/query.js';
+import { DATE_RE, profileDir } from '../src/slateFiles.js';
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 5173;
 const ROOT = process.cwd();
+const API_DIR = path.join(ROOT, 'api');
+const BUILD_SCRIPT = path.join(path.dirname(url.fileURLToPath(import.meta.url)), '..', 'src', 'buildDaily.js');
 
 const types = {
   '.html': 'text/html; charset=utf-8',
   '.js': 'application/javascript; charset=utf-8',
   '.css': 'text/css; charset=utf-8',
   '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.jpeg': 'image/jpeg',
@@ -23,6 +29,10 @@ function send(res, status, body, headers={}) {
   res.end(body);
 }
 
+function sendJSON(res, status, obj) {
+  send(res, status, JSON.stringify(obj, null, 2), { 'Content-Type': types['.json'] });
+}
+
 function serveFile(res, filepath) {
   fs.readFile(filepath, (err, buf) => {
     if (err) {
@@ -35,11 +45,108 @@ function serveFile(res, filepath) {
   });
 }
 
+// ---------- JSON routes ----------
+// GET /api/slate?date=YYYY-MM-DD|today&team=&minScore=&slot=&profile=  one date's hitters, filtered
+// GET /api/player/:id?profile=                                          a player's rows across built dates
+// GET /api/build?date=YYYY-MM-DD&profile=&force=1                       build a date, streaming progress
+// Everything else under /api/ is the static files (api/YYYY-MM-DD.json, index.json, ...).
+
+// `${date}:${profile}` -> running build, so a second request for the same date and profile doesn't start another
+const builds = new Map();
+
+function handleSlate(res, q) {
+  const dir = profileDir(API_DIR, q.get('profile'));
+  const date = q.get('date') || 'today';
+  const slate = querySlate(dir, date, { team: q.get('team'), minScore: q.get('minScore'), slots: q.get('slot') });
+  if (!slate) return sendJSON(res, 404, { error: `${date} is not built`, build: DATE_RE.test(date) ? `/api/build?date=${date}` : null });
+  sendJSON(res, 200, slate);
+}
+
+function handlePlayer(res, id, q) {
+  sendJSON(res, 200, playerHistory(profileDir(API_DIR, q.get('profile')), id));
+}
+
+// Runs the build CLI as a child process and streams newline-delimited JSON:
+// { event: 'start' }, one { event: 'log', stream, line } per output line, then { event: 'done', ok, code, hitters }.
+// The build keeps running if the client disconnects.
+function handleBuild(res, q) {
+  const date = q.get('date');
+  const profile = q.get('profile');
+  if (!DATE_RE.test(date || '')) return sendJSON(res, 400, { error: 'date expects YYYY-MM-DD' });
+  const dir = profileDir(API_DIR, profile);
+  const pq = profile ? `&profile=${encodeURIComponent(profile)}` : '';
+  const key = `${date}:${profile || 'default'}`;
+  if (builds.has(key)) return sendJSON(res, 409, { error: `a build for ${date} (${profile || 'default'}) is already running` });
+  if (fs.existsSync(path.join(dir, `${date}.json`)) && q.get('force') !== '1') {
+    return sendJSON(res, 409, { error: `${date} is already built`, slate: `/api/slate?date=${date}${pq}`, rebuild: `/api/build?date=${date}${pq}&force=1` });
+  }
+
+  const args = [BUILD_SCRIPT, '--date', date, ...(profile ? ['--profile', profile] : [])];
+  const child = spawn(process.execPath, args, { cwd: ROOT });
+  builds.set(key, child);
+  res.writeHead(200, { 'Cache-Control': 'no-cache', 'Content-Type': 'application/x-ndjson; charset=utf-8' });
+  const emit = (obj) => { if (!res.writableEnded) res.write(JSON.stringify(obj) + '\n'); };
+  emit({ event: 'start', date, profile: profile || 'default' });
+
+  for (const stream of ['stdout', 'stderr']) {
+    let buf = '';
+    child[stream].setEncoding('utf8');
+    child[stream].on('data', (chunk) => {
+      buf += chunk;
+      const lines = buf.split('\n');
+      buf = lines.pop();
+      lines.filter(Boolean).forEach(line => emit({ event: 'log', stream, line }));
+    });
+    child[stream].on('end', () => { if (buf) emit({ event: 'log', stream, line: buf }); });
+  }
+  child.on('error', (e) => {
+    builds.delete(key);
+    emit({ event: 'done', date, ok: false, code: null, error: e.message });
+    res.end();
+  });
+  child.on('close', (code) => {
+    builds.delete(key);
+    let hitters = null;
+    try {
+      hitters = JSON.parse(fs.readFileSync(path.join(dir, `${date}.json`), 'utf8')).hitterCount ?? null;
+    } catch {}
+    emit({ event: 'done', date, ok: code === 0, code, hitters, slate: code === 0 ? `/api/slate?date=${date}${pq}` : null });
+    res.end();
+  });
+}
+
+// → handler(res, query) for a JSON route, or null for static files
+function apiRoute(pathname) {
+  if (pathname === '/api/slate') return handleSlate;
+  if (pathname === '/api/build') return handleBuild;
+  const m = pathname.match(/^\/api\/player\/([^/]+)\/?$/);
+  if (m) return (res, q) => handlePlayer(res, m[1], q);
+  return null;
+}
+
 const server = http.createServer((req, res) => {
   const parsed = url.parse(req.url || '/');
-  let pathname = decodeURIComponent(parsed.pathname || '/');
+  let pathname;
+  try {
+    pathname = decodeURIComponent(parsed.pathname || '/');
+  } catch {
+    // Malformed percent-encoding (e.g. /%E0%A4%A)
+    return sendJSON(res, 400, { error: 'malformed URL' });
+  }
   if (pathname === '/') pathname = '/web/index.html';
 
+  const route = apiRoute(pathname);
+  if (route) {
+    if (req.method !== 'GET') return sendJSON(res, 405, { error: 'GET only' });
+    try {
+      route(res, new URLSearchParams(parsed.query || ''));
+    } catch (e) {
+      // Bad query values (date, slot spec, player id, profile name)
+      sendJSON(res, 400, { error: e.message });
+    }
+    return;
+  }
+
   // Prevent path traversal
   const safePath = path.normalize(path.join(ROOT, pathname));
   if (!safePath.startsWith(ROOT)) {
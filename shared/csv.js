@@ -0,0 +1,83 @@
+// Flat CSV of a day's hitter rows (api/YYYY-MM-DD.csv and the UI's "Download CSV"); score_breakdown parts become breakdown_<key> columns.
+
+const COLUMNS = [
+  ["id", h => h.id],
+  ["name", h => h.name],
+  ["team", h => h.opponentTeamName],
+  ["game_pk", h => h.gamePk],
+  ["game_date", h => h.gameDate],
+  ["game_time", h => h.gameTime],
+  ["game_number", h => h.gameNumber],
+  ["site", h => h.site],
+  ["venue", h => h.venue?.name],
+  ["slot", h => h.projectedBattingOrder],
+  ["lineup_status", h => h.lineupStatus],
+  ["pitcher", h => h.probable_pitcher_splits?.name ?? h.probablePitcherName],
+  ["pitcher_hand", h => h.probable_pitcher_splits?.hand],
+  ["season_pa", h => h.season_pa],
+  ["season_ops", h => h.season_line?.ops],
+  ["season_ops_shrunk", h => h.shrunk?.season_ops],
+  ["wtb_percent", h => h.wtb_percent],
+  ["wtb_shrunk", h => h.shrunk?.wtb],
+  ["ops_vs_hand_pa", h => h.ops_vs_pitcher_hand?.pa],
+  ["ops_vs_hand", h => h.ops_vs_pitcher_hand?.ops],
+  ["ops_vs_hand_shrunk", h => h.shrunk?.ops_vs_pitcher_hand],
+  ["ops_site_pa", h => h.ops_site?.pa],
+  ["ops_site", h => h.ops_site?.ops],
+  ["ops_site_shrunk", h => h.shrunk?.ops_site],
+  ["ops_last7_pa", h => h.ops_last_7_days?.pa],
+  ["ops_last7", h => h.ops_last_7_days?.ops],
+  ["ops_last14_pa", h => h.form?.["14d"]?.pa],
+  ["ops_last14", h => h.form?.["14d"]?.ops],
+  ["ops_last30_pa", h => h.form?.["30d"]?.pa],
+  ["ops_last30", h => h.form?.["30d"]?.ops],
+  ["ops_ewma_pa", h => h.form?.ewma?.pa],
+  ["ops_ewma", h => h.form?.ewma?.ops],
+  ["ops_recent_shrunk", h => h.shrunk?.ops_recent],
+  ["h2h_ab", h => h.ops_vs_pitcher?.ab],
+  ["h2h_ops", h => h.ops_vs_pitcher?.ops],
+  ["h2h_ops_shrunk", h => h.shrunk?.ops_vs_pitcher],
+  ["pitcher_h9", h => h.probable_pitcher_splits?.hitsPer9Inn],
+  ["pitcher_h9_site", h => h.probable_pitcher_splits?.hitsPer9Inn_site],
+  ["pitcher_h9_28", h => h.probable_pitcher_splits?.hitsPer9Inn_last_28_days],
+  ["pitcher_h9_7d", h => h.probable_pitcher_splits?.form?.["7d"]?.h9],
+  ["pitcher_h9_14d", h => h.probable_pitcher_splits?.form?.["14d"]?.h9],
+  ["pitcher_h9_30d", h => h.probable_pitcher_splits?.form?.["30d"]?.h9],
+  ["pitcher_h9_ewma", h => h.probable_pitcher_splits?.form?.ewma?.h9],
+  ["pitcher_h9_vs_side", h => h.probable_pitcher_splits?.hitsPer9Inn_vs_batter_side],
+  ["pitcher_ops_vs_side", h => h.probable_pitcher_splits?.ops_vs_batter_side],
+  ["park_hits", h => h.park_factor?.hits],
+  ["park_hr", h => h.park_factor?.hr],
+  ["pen_h9", h => h.bullpen?.hitsPer9Inn],
+  ["pa_vs_starter", h => h.pa_split?.starter],
+  ["pa_vs_bullpen", h => h.pa_split?.bullpen],
+  ["projected_pa", h => h.projected_pa],
+  ["score", h => h.score],
+  ["p_hit", h => h.probabilities?.hit],
+  ["p_tb2", h => h.probabilities?.tb2],
+  ["p_hr", h => h.probabilities?.hr]
+];
+
+// RFC 4180: quote fields containing a comma, quote or newline
+function csvCell(v) {
+  if (v == null || (typeof v === "number" && !Number.isFinite(v))) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function hittersToCSV(hitters) {
+  const rows = Array.isArray(hitters) ? hitters : [];
+  // Breakdown keys in first-seen order, so optional components only appear when some row has them
+  const parts = [];
+  for (const h of rows) {
+    for (const k of Object.keys(h.score_breakdown ?? {})) if (!parts.includes(k)) parts.push(k);
+  }
+  const header = [...COLUMNS.map(([name]) => name), ...parts.map(k => `breakdown_${k}`)];
+  const lines = rows.map(h => [
+    ...COLUMNS.map(([, get]) => csvCell(get(h))),
+    ...parts.map(k => csvCell(h.score_breakdown?.[k]))
+  ].join(","));
+  return [header.join(","), ...lines].join("\n") + "\n";
+}
+
+export { COLUMNS, csvCell, hittersToCSV };
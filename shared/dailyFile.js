@@ -0,0 +1,10 @@
+// Daily file names and rows (api/YYYY-MM-DD.json), for the build scripts, the dev server and the UI.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+function hittersOf(daily) {
+  return Array.isArray(daily?.hitters) ? daily.hitters : [];
+}
+
+export { DATE_RE, DATE_FILE, hittersOf };
@@ -0,0 +1,109 @@
+// What changed between two daily files (snapshots of one date, or two different dates), for src/diff.js and the UI.
+//
+// Same date: hitters match on gamePk + id (doubleheaders list a hitter twice) and probables on
+// gamePk + side. Different dates: hitters match on id and probables on team.
+
+import { hittersOf } from "./dailyFile.js";
+
+const DEFAULT_THRESHOLD = 5; // score points
+
+function hitterSummary(h) {
+  return {
+    id: h.id,
+    name: h.name ?? null,
+    gamePk: h.gamePk ?? null,
+    team: h.opponentTeamName ?? null,
+    pitcher: h.probable_pitcher_splits?.name ?? h.probablePitcherName ?? null,
+    slot: h.projectedBattingOrder ?? null,
+    score: h.score ?? null
+  };
+}
+
+// [{ key, gamePk, side, team, pitcher: { id, name } | null }] from games[], else from hitter rows
+function probablesOf(daily, sameDate) {
+  const out = [];
+  const games = Array.isArray(daily?.games) ? daily.games : null;
+  if (games) {
+    for (const g of games) {
+      for (const side of ["home", "away"]) {
+        const s = g[side];
+        if (!s) continue;
+        const p = s.probablePitcher;
+        out.push({
+          key: sameDate ? `${g.gamePk}:${side}` : `team:${s.team?.id ?? s.team?.name}`,
+          gamePk: g.gamePk,
+          side,
+          team: s.team?.name ?? null,
+          pitcher: p?.id ? { id: p.id, name: p.name ?? null } : null
+        });
+      }
+    }
+    return out;
+  }
+  // Older files: the pitcher's side is the opposite of the hitter's site
+  const seen = new Set();
+  for (const h of hittersOf(daily)) {
+    const p = h.probable_pitcher_splits;
+    if (!p?.id) continue;
+    const side = h.site === "Home" ? "away" : "home";
+    const key = sameDate ? `${h.gamePk}:${side}` : `pitcher-vs:${h.opponentTeamName}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ key, gamePk: h.gamePk, side, team: null, pitcher: { id: p.id, name: p.name ?? null } });
+  }
+  return out;
+}
+
+function builtAtOf(daily) {
+  return daily?.meta?.builtAt ?? daily?.builtAt ?? null;
+}
+
+// → { from, to, added, dropped, pitcherChanges, slotChanges, scoreChanges }
+// scoreChanges lists |delta| >= threshold, largest first
+function diffSlates(a, b, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const sameDate = (a?.date ?? null) === (b?.date ?? null);
+  const key = (h) => (sameDate ? `${h.gamePk}:${h.id}` : String(h.id));
+  const before = new Map(hittersOf(a).map(h => [key(h), h]));
+  const after = new Map(hittersOf(b).map(h => [key(h), h]));
+
+  const added = [], dropped = [], slotChanges = [], scoreChanges = [];
+  for (const [k, h] of after) if (!before.has(k)) added.push(hitterSummary(h));
+  for (const [k, h] of before) if (!after.has(k)) dropped.push(hitterSummary(h));
+  for (const [k, h] of after) {
+    const old = before.get(k);
+    if (!old) continue;
+    const from = old.projectedBattingOrder ?? null, to = h.projectedBattingOrder ?? null;
+    if (from !== to) {
+      slotChanges.push({ ...hitterSummary(h), from, to, lineupStatus: h.lineupStatus ?? null });
+    }
+    if (Number.isFinite(old.score) && Number.isFinite(h.score)) {
+      const delta = Number((h.score - old.score).toFixed(3));
+      if (Math.abs(delta) >= threshold) scoreChanges.push({ ...hitterSummary(h), from: old.score, to: h.score, delta });
+    }
+  }
+  scoreChanges.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+
+  const probBefore = new Map(probablesOf(a, sameDate).map(p => [p.key, p]));
+  const pitcherChanges = [];
+  for (const p of probablesOf(b, sameDate)) {
+    const old = probBefore.get(p.key);
+    if (!old) continue;
+    if ((old.pitcher?.id ?? null) !== (p.pitcher?.id ?? null)) {
+      pitcherChanges.push({ gamePk: p.gamePk, side: p.side, team: p.team ?? old.team, from: old.pitcher, to: p.pitcher });
+    }
+  }
+
+  const byName = (x, y) => String(x.name).localeCompare(String(y.name));
+  return {
+    from: { date: a?.date ?? null, builtAt: builtAtOf(a) },
+    to: { date: b?.date ?? null, builtAt: builtAtOf(b) },
+    threshold,
+    added: added.sort(byName),
+    dropped: dropped.sort(byName),
+    pitcherChanges,
+    slotChanges: slotChanges.sort(byName),
+    scoreChanges
+  };
+}
+
+export { DEFAULT_THRESHOLD, diffSlates, builtAtOf };
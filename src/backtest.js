@@ -0,0 +1,193 @@
+// Backtest the scoring model over a date range:
+// - Replay scoreHitter() on each day's saved api/YYYY-MM-DD.json rows (inputs as they stood that day)
+// - Compare against actual outcomes from api/results/YYYY-MM-DD.json (graded on the fly if missing)
+// - Rank metrics for the score per scoring profile: hit rate by score decile and of the top N per day
+// - Brier score and log-loss for the event probabilities (P(hit), P(2+ TB), P(HR)); --fit also fits
+//   Platt calibration { a, b } per event on the uncalibrated probabilities, to paste into the profile
+//
+// Usage:
+//   node src/backtest.js --from 2025-08-01 --to 2025-08-31 [--top 10] [--profile default,recency] [--profiles-file f.json] [--fit] [--out report.json]
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { clamp, scoreHitter, scoringInputsFromRow } from "./scoring.js";
+import { hitterProbabilities, fitPlatt } from "./probability.js";
+import { DEFAULT_PROFILE, DEFAULT_PROFILES_FILE, resolveProfile } from "./profiles.js";
+import { gradeDay } from "./gradeDaily.js";
+import { configureHttp, httpOptionsFromArgv } from "./http.js";
+import { readJSON } from "./slateFiles.js";
+
+const P_MIN = 0.01, P_MAX = 0.99; // keep log-loss finite
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i > -1 ? process.argv[i + 1] : null;
+}
+
+function round(n, digits = 4) {
+  return Number.isFinite(n) ? Number(n.toFixed(digits)) : null;
+}
+
+function eachDate(from, to) {
+  const out = [];
+  const d = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  if (Number.isNaN(d.getTime()) || Number.isNaN(end.getTime())) return out;
+  while (d <= end) {
+    out.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return out;
+}
+
+// Load the snapshot and graded outcomes for one date; null when no snapshot was saved
+async function loadDay(dateStr) {
+  const daily = readJSON(path.join("api", `${dateStr}.json`));
+  if (!daily) return null;
+  let results = readJSON(path.join("api", "results", `${dateStr}.json`));
+  if (!results) {
+    results = await gradeDay(daily);
+    if (results.summary.graded > 0) {
+      fs.mkdirSync(path.join("api", "results"), { recursive: true });
+      fs.writeFileSync(path.join("api", "results", `${dateStr}.json`), JSON.stringify(results, null, 2));
+    }
+  }
+  // outcome per hitter+game; only hitters who actually batted
+  const outcomes = new Map();
+  for (const r of results.hitters ?? []) {
+    if (r.actual?.pa > 0) outcomes.set(`${r.gamePk}:${r.id}`, r.actual);
+  }
+  return { daily, outcomes };
+}
+
+const EVENTS = {
+  hit: (a) => a.h > 0,
+  tb2: (a) => a.tb >= 2,
+  hr: (a) => a.hr > 0
+};
+
+// Brier score and log-loss for [{ p, y }]
+function probMetrics(preds) {
+  const n = preds.length;
+  if (!n) return { n: 0, brier: null, log_loss: null };
+  const ps = preds.map(r => ({ p: clamp(r.p, P_MIN, P_MAX), y: r.y }));
+  return {
+    n,
+    observed: round(ps.reduce((a, r) => a + r.y, 0) / n, 3),
+    predicted: round(ps.reduce((a, r) => a + r.p, 0) / n, 3),
+    brier: round(ps.reduce((a, r) => a + (r.p - r.y) ** 2, 0) / n),
+    log_loss: round(-ps.reduce((a, r) => a + (r.y ? Math.log(r.p) : Math.log(1 - r.p)), 0) / n)
+  };
+}
+
+// Metrics for one scoring profile over all replayed days
+function evaluate(days, profile, topN, { fit = false } = {}) {
+  const preds = []; // { y, decile }
+  const eventPreds = { hit: [], tb2: [], hr: [] };      // calibrated under the profile
+  const rawEventPreds = { hit: [], tb2: [], hr: [] };   // identity calibration, for --fit
+  const uncalibrated = profile.probability
+    ? { ...profile, probability: { ...profile.probability, calibration: {} } }
+    : null;
+  let topHits = 0, topN_total = 0;
+  for (const { daily, outcomes } of days) {
+    const dayRows = [];
+    for (const h of daily.hitters ?? []) {
+      const actual = outcomes.get(`${h.gamePk}:${h.id}`);
+      if (!actual) continue;
+      const inputs = scoringInputsFromRow(h, profile);
+      const { score } = scoreHitter(inputs, profile);
+      dayRows.push({ score, y: actual.h > 0 ? 1 : 0 });
+
+      if (!uncalibrated) continue;
+      const probs = hitterProbabilities(h, inputs.projected_pa, profile);
+      const raw = hitterProbabilities(h, inputs.projected_pa, uncalibrated);
+      for (const [ev, happened] of Object.entries(EVENTS)) {
+        const y = happened(actual) ? 1 : 0;
+        if (Number.isFinite(probs?.[ev])) eventPreds[ev].push({ p: probs[ev], y });
+        if (Number.isFinite(raw?.[ev])) rawEventPreds[ev].push({ p: raw[ev], y });
+      }
+    }
+    // The score only ranks hitters, so deciles are by rank within the day's slate (1 = top tenth)
+    dayRows.sort((a, b) => b.score - a.score);
+    dayRows.forEach((r, i) => preds.push({ y: r.y, decile: Math.floor((i * 10) / dayRows.length) + 1 }));
+    const top = dayRows.slice(0, topN);
+    topHits += top.reduce((a, r) => a + r.y, 0);
+    topN_total += top.length;
+  }
+
+  const n = preds.length;
+  if (!n) return { n: 0 };
+  const deciles = new Map();
+  for (const r of preds) {
+    const d = deciles.get(r.decile) ?? { n: 0, y: 0 };
+    d.n += 1; d.y += r.y;
+    deciles.set(r.decile, d);
+  }
+  const scoreDeciles = Array.from(deciles.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([decile, d]) => ({ decile, n: d.n, hit_rate: round(d.y / d.n, 3) }));
+
+  return {
+    n,
+    hit_rate: round(preds.reduce((a, r) => a + r.y, 0) / n, 3),
+    top_n: topN,
+    top_n_hit_rate: topN_total ? round(topHits / topN_total, 3) : null,
+    score_deciles: scoreDeciles,
+    probabilities: Object.fromEntries(Object.keys(EVENTS).map(ev => [ev, {
+      ...probMetrics(eventPreds[ev]),
+      ...(fit ? { fitted_calibration: fitPlatt(rawEventPreds[ev]) } : {})
+    }]))
+  };
+}
+
+function loadProfilesFromArgs() {
+  const file = argValue("--profiles-file") ?? DEFAULT_PROFILES_FILE;
+  return (argValue("--profile") ?? DEFAULT_PROFILE)
+    .split(",").map(s => s.trim()).filter(Boolean)
+    .map(n => resolveProfile(n, file));
+}
+
+// ---------- main ----------
+async function main() {
+  configureHttp(httpOptionsFromArgv(process.argv));
+  const from = argValue("--from");
+  const to = argValue("--to") ?? from;
+  if (!from) throw new Error("Usage: node src/backtest.js --from YYYY-MM-DD [--to YYYY-MM-DD] [--top N] [--profile a,b] [--profiles-file f] [--fit] [--out file]");
+  const topN = Number(argValue("--top")) || 10;
+  const fit = process.argv.includes("--fit");
+
+  const days = [];
+  const missing = [];
+  for (const dateStr of eachDate(from, to)) {
+    const day = await loadDay(dateStr);
+    if (day && day.outcomes.size) days.push(day);
+    else missing.push(dateStr);
+  }
+  console.log(`Replayed ${days.length} day(s) ${from}..${to}${missing.length ? ` — no snapshot/outcomes for ${missing.join(", ")}` : ""}`);
+
+  const report = { from, to, days: days.length, missing, profiles: [] };
+  for (const profile of loadProfilesFromArgs()) {
+    const m = evaluate(days, profile, topN, { fit });
+    report.profiles.push({ name: profile.name, hash: profile.hash, ...m });
+    console.log(`\n[${profile.name} ${profile.hash}] n=${m.n} hit=${m.hit_rate ?? "n/a"} top${topN}=${m.top_n_hit_rate ?? "n/a"}`);
+    (m.score_deciles ?? []).forEach(d => console.log(`  decile ${String(d.decile).padStart(2)} n=${String(d.n).padStart(4)}  hit=${d.hit_rate}`));
+    for (const [ev, pm] of Object.entries(m.probabilities ?? {})) {
+      if (!pm.n) continue;
+      const fitted = !fit ? "" : pm.fitted_calibration ? `  fit=${JSON.stringify(pm.fitted_calibration)}` : "  fit=n/a (too few rows)";
+      console.log(`  P(${ev}) n=${pm.n} pred=${pm.predicted} obs=${pm.observed} brier=${pm.brier} logloss=${pm.log_loss}${fitted}`);
+    }
+  }
+
+  const out = argValue("--out");
+  if (out) fs.writeFileSync(out, JSON.stringify(report, null, 2));
+}
+
+export { evaluate, eachDate };
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
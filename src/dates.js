@@ -0,0 +1,25 @@
+// Calendar helpers shared by the Stats API client and the response cache. The baseball day is Pacific.
+
+// Format Date -> MM/DD/YYYY (US style) for dateRange hydrates
+function fmtUSDate(y, m, d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(m)}/${pad(d)}/${y}`;
+}
+
+function pacificTodayYMD(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Los_Angeles',
+    hour12: false,
+    year: 'numeric', month: '2-digit', day: '2-digit'
+  }).formatToParts(now);
+  const get = (t) => Number(parts.find(p => p.type === t)?.value);
+  return { y: get('year'), m: get('month'), d: get('day') };
+}
+
+function addDaysYMD({ y, m, d }, delta) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  dt.setUTCDate(dt.getUTCDate() + delta);
+  return { y: dt.getUTCFullYear(), m: dt.getUTCMonth() + 1, d: dt.getUTCDate() };
+}
+
+export { fmtUSDate, pacificTodayYMD, addDaysYMD };
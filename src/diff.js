@@ -0,0 +1,65 @@
+// What changed between two builds: hitters added or dropped, probable pitcher changes,
+// projected slot changes and score moves of at least --threshold points.
+//
+// Usage:
+//   node src/diff.js --date 2025-08-30                       # previous run vs latest run of that date
+//   node src/diff.js --date 2025-08-30 --from -3 --to -1     # snapshots by position from the end, or by file name
+//   node src/diff.js api/2025-08-29.json api/2025-08-30.json # any two daily files (day to day)
+//   [--profile name] [--threshold 5] [--json] [--out diff.json]
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_THRESHOLD, diffSlates } from "../shared/slateDiff.js";
+import { readSnapshot } from "./snapshots.js";
+import { profileDir } from "./slateFiles.js";
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i > -1 ? process.argv[i + 1] : null;
+}
+
+function printDiff(d) {
+  const who = (h) => `${h.name} (${h.team ?? "?"}${h.pitcher ? ` vs ${h.pitcher}` : ""})`;
+  console.log(`${d.from.date} ${d.from.builtAt ?? "?"} → ${d.to.date} ${d.to.builtAt ?? "?"}`);
+  console.log(`  added ${d.added.length}, dropped ${d.dropped.length}, pitcher changes ${d.pitcherChanges.length}, slot changes ${d.slotChanges.length}, score moves ≥${d.threshold}: ${d.scoreChanges.length}`);
+  d.pitcherChanges.forEach(p => console.log(`  [pitcher] game ${p.gamePk} ${p.side}${p.team ? ` (${p.team})` : ""}: ${p.from?.name ?? "TBD"} → ${p.to?.name ?? "TBD"}`));
+  d.added.forEach(h => console.log(`  [+] ${who(h)} slot ${h.slot ?? "?"} score ${h.score ?? "n/a"}`));
+  d.dropped.forEach(h => console.log(`  [-] ${who(h)}`));
+  d.slotChanges.forEach(h => console.log(`  [slot] ${who(h)}: ${h.from ?? "?"} → ${h.to ?? "?"}${h.lineupStatus === "confirmed" ? " (confirmed)" : ""}`));
+  d.scoreChanges.forEach(h => console.log(`  [score] ${who(h)}: ${h.from} → ${h.to} (${h.delta > 0 ? "+" : ""}${h.delta})`));
+}
+
+// ---------- main ----------
+async function main() {
+  const threshold = Number(argValue("--threshold") ?? DEFAULT_THRESHOLD);
+  const date = argValue("--date");
+  const files = process.argv.slice(2).filter((a, i, all) => a.endsWith(".json") && !["--out"].includes(all[i - 1]));
+
+  let a, b;
+  if (date) {
+    // A --profile build's snapshots are under api/profiles/<name>/, where buildDaily wrote them
+    const dir = profileDir("api", argValue("--profile"));
+    a = readSnapshot(dir, date, argValue("--from") ?? "-2");
+    b = readSnapshot(dir, date, argValue("--to") ?? "-1");
+  } else if (files.length === 2) {
+    [a, b] = files.map(f => JSON.parse(fs.readFileSync(f, "utf8")));
+  } else {
+    throw new Error("Usage: node src/diff.js --date YYYY-MM-DD [--profile name] [--from REF] [--to REF] | <a.json> <b.json> [--threshold N] [--json] [--out file]");
+  }
+
+  const d = diffSlates(a, b, { threshold: Number.isFinite(threshold) ? threshold : DEFAULT_THRESHOLD });
+  if (process.argv.includes("--json")) console.log(JSON.stringify(d, null, 2));
+  else printDiff(d);
+  const out = argValue("--out");
+  if (out) fs.writeFileSync(out, JSON.stringify(d, null, 2));
+}
+
+export { printDiff };
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,68 @@
+// Recent form from game logs: 7 / 14 / 30-day windows and an exponentially weighted line,
+// for hitters (OPS) and pitchers (H/9), from the logs splits.js fetches.
+//
+// Windows end on asOf (the day before a point-in-time target): "7d" = asOf and the 6 days before.
+// The weighted line counts every game of the season, a game d days before asOf at 0.5^(d / half-life),
+// so one big game fades instead of falling off a cliff when it leaves the window.
+// Its pa / ip are the weighted totals, the effective sample the shrinkage layer sees.
+
+import { opsFromCounts } from "./splits.js";
+
+const FORM_WINDOWS = [7, 14, 30];
+const FORM_HALF_LIFE_DAYS = { hitter: 7, pitcher: 14 };
+const TREND_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+function daysBefore(date, asOfStr) {
+  return Math.round((Date.parse(`${asOfStr}T00:00:00Z`) - Date.parse(`${date}T00:00:00Z`)) / DAY_MS);
+}
+const round = (n, d) => (Number.isFinite(n) ? Number(n.toFixed(d)) : null);
+
+// Weighted sum of counting fields over games; weight(game) = 0 drops it
+function sumGames(games, fields, weight) {
+  const out = Object.fromEntries(fields.map(f => [f, 0]));
+  for (const g of games) {
+    const w = weight(g);
+    if (!(w > 0)) continue;
+    for (const f of fields) out[f] += w * (Number.isFinite(g[f]) ? g[f] : 0);
+  }
+  return out;
+}
+
+const HITTER_FIELDS = ["pa", "ab", "h", "hr", "bb", "hbp", "sf", "tb"];
+const hitterLine = (c) => ({ pa: round(c.pa, 1), ops: opsFromCounts(c) });
+const PITCHER_FIELDS = ["ip", "h"];
+const pitcherLine = (c) => ({ ip: round(c.ip, 1), h9: c.ip > 0 ? round((9 * c.h) / c.ip, 2) : null });
+
+// Windows, the weighted line and a trend (weighted value as of each game date in the last TREND_DAYS)
+function formFrom(games, asOfStr, { fields, line, value, halfLife }) {
+  const inWindow = (days) => (g) => {
+    const d = daysBefore(g.date, asOfStr);
+    return d >= 0 && d < days ? 1 : 0;
+  };
+  const decayFrom = (end) => (g) => {
+    const d = daysBefore(g.date, end);
+    return d >= 0 ? Math.pow(0.5, d / halfLife) : 0;
+  };
+  const windows = Object.fromEntries(FORM_WINDOWS.map(n => [`${n}d`, line(sumGames(games, fields, inWindow(n)))]));
+  const dates = Array.from(new Set(games.map(g => g.date)))
+    .filter(d => daysBefore(d, asOfStr) < TREND_DAYS)
+    .sort();
+  return {
+    ...windows,
+    ewma: { ...line(sumGames(games, fields, decayFrom(asOfStr))), half_life_days: halfLife },
+    trend: dates.map(date => ({ date, value: value(line(sumGames(games, fields, decayFrom(date)))) }))
+  };
+}
+
+// games = getHitterGameLogs entry → { "7d", "14d", "30d": { pa, ops }, ewma: { pa, ops, half_life_days }, trend: [{ date, value: ops }] }
+function hitterForm(games, asOfStr, halfLife = FORM_HALF_LIFE_DAYS.hitter) {
+  return formFrom(games ?? [], asOfStr, { fields: HITTER_FIELDS, line: hitterLine, value: l => l.ops, halfLife });
+}
+
+// games = getPitcherGameLog → { "7d", "14d", "30d": { ip, h9 }, ewma: { ip, h9, half_life_days }, trend: [{ date, value: h9 }] }
+function pitcherForm(games, asOfStr, halfLife = FORM_HALF_LIFE_DAYS.pitcher) {
+  return formFrom(games ?? [], asOfStr, { fields: PITCHER_FIELDS, line: pitcherLine, value: l => l.h9, halfLife });
+}
+
+export { FORM_WINDOWS, FORM_HALF_LIFE_DAYS, TREND_DAYS, hitterForm, pitcherForm };
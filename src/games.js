@@ -0,0 +1,77 @@
+// Schedule entries: game state (which games a build scores) and doubleheader legs.
+//
+// States, from the schedule's status block:
+//   scheduled  not started (Scheduled, Pre-Game, Warmup, Delayed Start)
+//   live       in progress
+//   final      over
+//   postponed / suspended / cancelled
+// Live builds score scheduled games only; point-in-time (--date) builds score the games as played.
+
+const GAME_STATES = ["scheduled", "live", "final", "postponed", "suspended", "cancelled"];
+const DEFAULT_LIVE_STATES = ["scheduled"];
+const DEFAULT_BACKFILL_STATES = ["scheduled", "live", "final"];
+
+// meta.skippedGames reason for a game left out by state
+const SKIP_REASONS = {
+  scheduled: "not_started",
+  live: "in_progress",
+  final: "already_final",
+  postponed: "postponed",
+  suspended: "suspended",
+  cancelled: "cancelled"
+};
+
+function gameState(game) {
+  const st = game?.status ?? {};
+  const detailed = String(st.detailedState ?? "").toLowerCase();
+  if (st.codedGameState === "D" || detailed.startsWith("postponed")) return "postponed";
+  if (st.codedGameState === "T" || st.codedGameState === "U" || detailed.startsWith("suspended")) return "suspended";
+  if (st.codedGameState === "C" || detailed.startsWith("cancelled")) return "cancelled";
+  if (st.abstractGameState === "Final") return "final";
+  if (st.abstractGameState === "Live") return "live";
+  return "scheduled";
+}
+
+// --status "scheduled,live" → state list; null = the default for the build type
+function parseStates(spec) {
+  if (!spec) return null;
+  const states = String(spec).split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const bad = states.filter(s => !GAME_STATES.includes(s));
+  if (bad.length || !states.length) throw new Error(`--status expects a list of ${GAME_STATES.join(", ")}, got "${spec}"`);
+  return Array.from(new Set(states));
+}
+
+// Why a game left out by state was skipped, e.g. "Postponed (Rain); rescheduled to 2025-09-02"
+function skipDetail(game) {
+  const st = game?.status ?? {};
+  const moved = game?.rescheduleGameDate ?? game?.rescheduleDate?.slice(0, 10)
+    ?? game?.resumeGameDate ?? game?.resumeDate?.slice(0, 10) ?? null;
+  const what = `${st.detailedState ?? gameState(game)}${st.reason ? ` (${st.reason})` : ""}`;
+  return moved ? `${what}; ${gameState(game) === "suspended" ? "resumes" : "rescheduled to"} ${moved}` : what;
+}
+
+// Doubleheader leg: doubleHeader "Y" (traditional, back to back) or "S" (split admission).
+// label is "Game 1" / "Game 2" for doubleheader legs and null otherwise.
+function gameLeg(game) {
+  const type = game?.doubleHeader === "Y" ? "traditional" : game?.doubleHeader === "S" ? "split" : null;
+  const number = Number(game?.gameNumber) || 1;
+  return {
+    gameNumber: number,
+    doubleheader: type,
+    label: type ? `Game ${number}` : null,
+    gameTime: game?.gameDate ?? null,
+    // Game 2 of a traditional doubleheader starts after game 1, so its listed time is a placeholder
+    startTimeTBD: Boolean(game?.status?.startTimeTBD)
+  };
+}
+
+// Game 1 of the doubleheader a game 2 belongs to (same date and teams), or null
+function firstLegOf(game, games) {
+  const leg = gameLeg(game);
+  if (!leg.doubleheader || leg.gameNumber !== 2) return null;
+  const teamIds = (g) => `${g?.teams?.home?.team?.id}:${g?.teams?.away?.team?.id}`;
+  return (games ?? []).find(g => g !== game && g.officialDate === game.officialDate && teamIds(g) === teamIds(game)
+    && gameLeg(g).doubleheader && gameLeg(g).gameNumber === 1) ?? null;
+}
+
+export { GAME_STATES, DEFAULT_LIVE_STATES, DEFAULT_BACKFILL_STATES, SKIP_REASONS, gameState, parseStates, skipDetail, gameLeg, firstLegOf };
@@ -0,0 +1,204 @@
+// Grade a past day's projections against what actually happened:
+// - Read api/YYYY-MM-DD.json (default: yesterday, Pacific Time)
+// - Pull the final boxscore for each gamePk
+// - Record each hitter's actual PA/H/TB/HR and batting slot
+// - Emit api/results/YYYY-MM-DD.json with per-hitter outcomes and hit rate by score bucket
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getBoxscore, getScheduleByDate, pacificTodayYMD, addDaysYMD } from "./statsClient.js";
+import { plateAppearances } from "./splits.js";
+import { battingOrderSlot } from "./lineups.js";
+import { configureHttp, httpOptionsFromArgv } from "./http.js";
+import { writeManifest } from "./manifest.js";
+
+const BUCKET_SIZE = 10; // score points per bucket
+
+function round(n, digits = 3) {
+  return Number.isFinite(n) ? Number(n.toFixed(digits)) : null;
+}
+
+// Find a player's boxscore entry (either side) → actual line for the game
+function actualLineFromBoxscore(box, playerId) {
+  for (const side of [box?.teams?.home, box?.teams?.away]) {
+    const pl = side?.players?.[`ID${playerId}`];
+    if (!pl) continue;
+    const bat = pl?.stats?.batting ?? {};
+    const h = bat.hits ?? 0;
+    const hr = bat.homeRuns ?? 0;
+    const tb = typeof bat.totalBases === "number"
+      ? bat.totalBases
+      : h + (bat.doubles ?? 0) + 2 * (bat.triples ?? 0) + 3 * hr;
+    const pa = plateAppearances(bat);
+    return {
+      pa,
+      ab: bat.atBats ?? 0,
+      h,
+      tb,
+      hr,
+      slot: battingOrderSlot(pl?.battingOrder),
+      // "301" = started in slot 3, "302" = first sub into slot 3
+      started: typeof pl?.battingOrder === "string" ? pl.battingOrder.endsWith("00") : false
+    };
+  }
+  return null;
+}
+
+function bucketLabel(score) {
+  const lo = Math.min(90, Math.floor(Math.max(0, score) / BUCKET_SIZE) * BUCKET_SIZE);
+  const hi = lo === 90 ? 100 : lo + BUCKET_SIZE - 1;
+  return `${lo}-${hi}`;
+}
+
+// Hit rate, average TB and 2+ TB rate per score bucket (only hitters who batted)
+function summarizeByBucket(rows) {
+  const buckets = new Map();
+  for (const r of rows) {
+    if (!r.actual?.pa || !Number.isFinite(r.score)) continue;
+    const label = bucketLabel(r.score);
+    const b = buckets.get(label) ?? { bucket: label, n: 0, hits: 0, tb: 0, tb2: 0 };
+    b.n += 1;
+    if (r.actual.h > 0) b.hits += 1;
+    if (r.actual.tb >= 2) b.tb2 += 1;
+    b.tb += r.actual.tb;
+    buckets.set(label, b);
+  }
+  return Array.from(buckets.values())
+    .sort((a, b) => Number(b.bucket.split("-")[0]) - Number(a.bucket.split("-")[0]))
+    .map(b => ({
+      bucket: b.bucket,
+      n: b.n,
+      hits: b.hits,
+      hit_rate: round(b.hits / b.n),
+      avg_tb: round(b.tb / b.n, 2),
+      tb2_rate: round(b.tb2 / b.n)
+    }));
+}
+
+// Mean squared error of an emitted probability vs the outcome (null when the day has no probabilities)
+function brier(rows, event, outcome) {
+  const xs = rows.filter(r => Number.isFinite(r.probabilities?.[event]));
+  if (!xs.length) return null;
+  return round(xs.reduce((a, r) => a + (r.probabilities[event] - (r[outcome] ? 1 : 0)) ** 2, 0) / xs.length, 4);
+}
+
+// Grade one day's output object; returns the results object (does not write)
+async function gradeDay(daily) {
+  const dateStr = daily?.date;
+  const hitters = Array.isArray(daily?.hitters) ? daily.hitters : [];
+
+  // Game status from the schedule: only Final games are graded
+  const sched = await getScheduleByDate(dateStr);
+  const statusByPk = new Map();
+  for (const g of (sched?.dates ?? []).flatMap(d => d.games ?? [])) {
+    statusByPk.set(g.gamePk, {
+      abstract: g?.status?.abstractGameState ?? null,
+      detailed: g?.status?.detailedState ?? null
+    });
+  }
+
+  const boxByPk = new Map();
+  const gamePks = Array.from(new Set(hitters.map(h => h.gamePk).filter(Boolean)))
+    .filter(pk => statusByPk.get(pk)?.abstract === "Final");
+  await Promise.all(gamePks.map(async pk => {
+    try {
+      boxByPk.set(pk, await getBoxscore(pk, { final: true }));
+    } catch (e) {
+      console.warn(`[Game ${pk}] boxscore unavailable: ${e.message}`);
+    }
+  }));
+
+  const rows = hitters.map(h => {
+    const box = boxByPk.get(h.gamePk);
+    const status = statusByPk.get(h.gamePk)?.detailed ?? "Unknown";
+    const actual = box ? actualLineFromBoxscore(box, h.id) : null;
+    return {
+      id: h.id,
+      name: h.name,
+      gamePk: h.gamePk,
+      gameStatus: status,
+      score: h.score ?? null,
+      probabilities: h.probabilities ?? null,
+      projectedBattingOrder: h.projectedBattingOrder ?? null,
+      actual,
+      got_hit: actual?.pa ? actual.h > 0 : null,
+      got_tb2: actual?.pa ? actual.tb >= 2 : null,
+      got_hr: actual?.pa ? actual.hr > 0 : null,
+      slot_held: actual?.slot != null && h.projectedBattingOrder != null
+        ? actual.slot === h.projectedBattingOrder
+        : null
+    };
+  });
+
+  const graded = rows.filter(r => boxByPk.has(r.gamePk));
+  const played = graded.filter(r => r.actual?.pa > 0);
+  const withSlot = graded.filter(r => r.slot_held != null);
+  const summary = {
+    graded: graded.length,
+    played: played.length,
+    did_not_play: graded.length - played.length,
+    pending: rows.length - graded.length,
+    hit_rate: played.length ? round(played.filter(r => r.got_hit).length / played.length) : null,
+    avg_tb: played.length ? round(played.reduce((a, r) => a + r.actual.tb, 0) / played.length, 2) : null,
+    slot_held_rate: withSlot.length ? round(withSlot.filter(r => r.slot_held).length / withSlot.length) : null,
+    hr_rate: played.length ? round(played.filter(r => r.got_hr).length / played.length) : null,
+    tb2_rate: played.length ? round(played.filter(r => r.got_tb2).length / played.length) : null,
+    brier: {
+      hit: brier(played, "hit", "got_hit"),
+      tb2: brier(played, "tb2", "got_tb2"),
+      hr: brier(played, "hr", "got_hr")
+    }
+  };
+
+  return {
+    date: dateStr,
+    gradedAt: new Date().toISOString(),
+    gamesGraded: boxByPk.size,
+    hitterCount: rows.length,
+    summary,
+    buckets: summarizeByBucket(played),
+    hitters: rows
+  };
+}
+
+// ---------- main ----------
+async function main() {
+  configureHttp(httpOptionsFromArgv(process.argv));
+  const argIdx = process.argv.indexOf("--date");
+  let dateStr = argIdx > -1 ? process.argv[argIdx + 1] : null;
+  if (!dateStr) {
+    const y = addDaysYMD(pacificTodayYMD(), -1);
+    const pad = (n) => String(n).padStart(2, "0");
+    dateStr = `${y.y}-${pad(y.m)}-${pad(y.d)}`;
+  }
+
+  const dailyPath = path.join("api", `${dateStr}.json`);
+  if (!fs.existsSync(dailyPath)) {
+    // Nothing was built yesterday (off day, first run): not a failure for the scheduled job.
+    // An explicit --date that was never built is.
+    if (argIdx > -1) throw new Error(`No projections for ${dateStr} (${dailyPath} missing)`);
+    console.log(`[${dateStr}] no projections to grade (${dailyPath} missing); skipping`);
+    return;
+  }
+  const daily = JSON.parse(fs.readFileSync(dailyPath, "utf8"));
+
+  const results = await gradeDay(daily);
+  const s = results.summary;
+  console.log(`[${dateStr}] graded ${s.graded}/${results.hitterCount} hitters — hit rate ${s.hit_rate ?? "n/a"}, 2+ TB ${s.tb2_rate ?? "n/a"}, HR ${s.hr_rate ?? "n/a"}, slot held ${s.slot_held_rate ?? "n/a"}`);
+  if (s.brier.hit != null) console.log(`  Brier: hit ${s.brier.hit}, 2+ TB ${s.brier.tb2 ?? "n/a"}, HR ${s.brier.hr ?? "n/a"}`);
+  results.buckets.forEach(b => console.log(`  - ${b.bucket}: ${b.hits}/${b.n} (${b.hit_rate})`));
+
+  fs.mkdirSync(path.join("api", "results"), { recursive: true });
+  fs.writeFileSync(path.join("api", "results", `${dateStr}.json`), JSON.stringify(results, null, 2));
+  writeManifest("api"); // marks the date as graded
+}
+
+export { gradeDay, actualLineFromBoxscore, summarizeByBucket };
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
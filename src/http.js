@@ -0,0 +1,232 @@
+// Fetch layer for the MLB Stats API with an on-disk response cache.
+// - Responses are cached by URL under .cache/statsapi (or --cache-dir / BVP_CACHE_DIR)
+// - TTL depends on the endpoint: final boxscores and date windows that ended before today never expire,
+//   schedules expire after a few minutes
+// - Replay mode (--replay / BVP_REPLAY=1) serves only recorded responses and never touches the network
+// - Network requests run with bounded parallelism, a minimum spacing between starts, a timeout,
+//   and exponential backoff on 429/5xx/network errors; identical in-flight URLs share one request
+// - Every request that still fails is recorded for the per-build summary (httpStats)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { pacificTodayYMD } from "./dates.js";
+
+const DEFAULT_CACHE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", ".cache", "statsapi");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const TTL = {
+  schedule: 10 * MINUTE,    // probables and statuses change through the day
+  boxscore: 5 * MINUTE,     // live/pre-game boxscore (lineups get posted)
+  boxscoreFinal: Infinity,  // final boxscores never change
+  pastWindow: Infinity,     // byDateRange / statSplits bounded by an endDate before today
+  people: 6 * HOUR,         // season stats and splits: refresh a few times a day
+  default: HOUR
+};
+
+const settings = {
+  cacheDir: process.env.BVP_CACHE_DIR || DEFAULT_CACHE_DIR,
+  cache: true,
+  replay: process.env.BVP_REPLAY === "1",
+  concurrency: 8,       // max network requests in flight
+  minIntervalMs: 50,    // spacing between request starts (~20 req/s)
+  timeoutMs: 15000,     // per attempt
+  retries: 4,           // extra attempts after the first
+  backoffMs: 500        // first retry delay; doubles each attempt (plus jitter)
+};
+const counters = { network: 0, cacheHits: 0, retries: 0 };
+const failures = []; // { url, status, error, attempts }
+const inFlight = new Map(); // url -> Promise
+
+class HttpError extends Error {
+  constructor(status, statusText, url) {
+    super(`${status} ${statusText} :: ${url}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.url = url;
+  }
+}
+
+class ReplayMissError extends Error {
+  constructor(url) {
+    super(`No recorded response for ${url} (replay mode)`);
+    this.name = "ReplayMissError";
+    this.url = url;
+  }
+}
+
+function configureHttp(opts = {}) {
+  Object.assign(settings, Object.fromEntries(Object.entries(opts).filter(([, v]) => v !== undefined)));
+}
+
+// --replay, --no-cache, --cache-dir <dir>, --concurrency N
+function httpOptionsFromArgv(argv = process.argv) {
+  const i = argv.indexOf("--cache-dir");
+  const c = argv.indexOf("--concurrency");
+  const concurrency = c > -1 ? Number(argv[c + 1]) : NaN;
+  return {
+    cacheDir: i > -1 ? path.resolve(argv[i + 1]) : undefined,
+    cache: argv.includes("--no-cache") ? false : undefined,
+    replay: argv.includes("--replay") ? true : undefined,
+    concurrency: Number.isInteger(concurrency) && concurrency > 0 ? concurrency : undefined
+  };
+}
+
+// endDate=MM/DD/YYYY before today (Pacific, like the build's dates) → the window is closed and its stats can't change
+function endsBeforeToday(url) {
+  const m = decodeURIComponent(url).match(/endDate=(\d{2})\/(\d{2})\/(\d{4})/);
+  if (!m) return false;
+  const end = Number(m[3]) * 10000 + Number(m[1]) * 100 + Number(m[2]);
+  const today = pacificTodayYMD();
+  return end < today.y * 10000 + today.m * 100 + today.d;
+}
+
+function ttlFor(url, { final = false } = {}) {
+  if (/\/game\/\d+\/boxscore/.test(url)) return final ? TTL.boxscoreFinal : TTL.boxscore;
+  if (url.includes("/schedule")) return TTL.schedule;
+  if (endsBeforeToday(url)) return TTL.pastWindow;
+  if (url.includes("/people")) return TTL.people;
+  return TTL.default;
+}
+
+function cachePath(url) {
+  const key = crypto.createHash("sha1").update(url).digest("hex");
+  return path.join(settings.cacheDir, `${key}.json`);
+}
+
+function readCache(url) {
+  try {
+    return JSON.parse(fs.readFileSync(cachePath(url), "utf8")); // { url, fetchedAt, body }
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(url, body) {
+  try {
+    fs.mkdirSync(settings.cacheDir, { recursive: true });
+    fs.writeFileSync(cachePath(url), JSON.stringify({ url, fetchedAt: new Date().toISOString(), body }));
+  } catch (e) {
+    console.warn(`cache write failed for ${url}: ${e.message}`);
+  }
+}
+
+const sleep = (ms) => new Promise(res => setTimeout(res, ms));
+
+// ----- concurrency + rate limit -----
+let active = 0;
+const waiting = [];
+let nextStartAt = 0;
+// A released slot passes straight to the next waiter (active stays put), so no new caller can slip in between
+async function acquireSlot() {
+  if (active >= settings.concurrency) await new Promise(res => waiting.push(res));
+  else active += 1;
+  const now = Date.now();
+  const startAt = Math.max(now, nextStartAt);
+  nextStartAt = startAt + settings.minIntervalMs;
+  if (startAt > now) await sleep(startAt - now);
+}
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else active -= 1;
+}
+
+function isRetryable(err) {
+  if (err instanceof HttpError) return err.status === 429 || err.status >= 500;
+  return true; // timeouts, resets, DNS hiccups
+}
+function retryDelay(attempt, err) {
+  const retryAfter = Number(err?.retryAfter);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+  return settings.backoffMs * 2 ** attempt + Math.random() * settings.backoffMs;
+}
+
+async function fetchOnce(url) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), settings.timeoutMs);
+  try {
+    const r = await fetch(url, { signal: ctrl.signal });
+    if (!r.ok) {
+      const err = new HttpError(r.status, r.statusText, url);
+      err.retryAfter = r.headers?.get?.("retry-after");
+      throw err;
+    }
+    return await r.json();
+  } catch (e) {
+    if (e?.name === "AbortError") throw new Error(`timeout after ${settings.timeoutMs}ms :: ${url}`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchNetwork(url) {
+  for (let attempt = 0; ; attempt++) {
+    let delay;
+    await acquireSlot();
+    try {
+      counters.network += 1;
+      return await fetchOnce(url);
+    } catch (e) {
+      if (attempt >= settings.retries || !isRetryable(e)) {
+        failures.push({ url, status: e?.status ?? null, error: e.message.replace(` :: ${url}`, ""), attempts: attempt + 1 });
+        throw e;
+      }
+      counters.retries += 1;
+      delay = retryDelay(attempt, e);
+    } finally {
+      releaseSlot();
+    }
+    // Back off without holding a slot, so waiting retries don't block requests that could run
+    await sleep(delay);
+  }
+}
+
+// hints.final: the caller knows the resource is final (e.g. boxscore of a Final game)
+async function fetchJSON(url, hints = {}) {
+  if (settings.replay || settings.cache) {
+    const hit = readCache(url);
+    const age = hit ? Date.now() - Date.parse(hit.fetchedAt) : Infinity;
+    if (hit && (settings.replay || age < ttlFor(url, hints))) {
+      counters.cacheHits += 1;
+      return hit.body;
+    }
+    if (settings.replay) throw new ReplayMissError(url);
+  }
+
+  if (inFlight.has(url)) return inFlight.get(url);
+  const p = fetchNetwork(url)
+    .then(body => {
+      if (settings.cache) writeCache(url, body);
+      return body;
+    })
+    .finally(() => inFlight.delete(url));
+  inFlight.set(url, p);
+  return p;
+}
+
+// Per-build summary: request counts and every request that still failed after retries
+function httpStats() {
+  return { ...counters, replay: settings.replay, failures: failures.slice() };
+}
+function resetHttpStats() {
+  counters.network = 0;
+  counters.cacheHits = 0;
+  counters.retries = 0;
+  failures.length = 0;
+}
+
+export {
+  fetchJSON,
+  configureHttp,
+  httpOptionsFromArgv,
+  httpStats,
+  resetHttpStats,
+  ttlFor,
+  HttpError,
+  ReplayMissError,
+  TTL
+};
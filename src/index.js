@@ -0,0 +1,42 @@
+// Public API (package "exports"): build a slate in memory, score rows, read the MLB Stats API.
+//
+//   import { buildSlate, scoreHitter, resolveProfile } from "bvp-model";
+//
+// Nothing exported here writes files; the CLIs in this directory do that.
+
+export { buildSlate, analyzeSlate, scoreSlate, resolveTarget } from "./slate.js";
+export { scoreHitter, scoringInputsFromRow, scoreRow, expectedStarterIP, paSplit } from "./scoring.js";
+export { shrinkRate, shrinkSplits } from "./shrinkage.js";
+export { FORM_WINDOWS, hitterForm, pitcherForm } from "./form.js";
+export { hitterProbabilities, withProbabilities } from "./probability.js";
+export { DEFAULT_PROFILE, loadProfiles, resolveProfile, profileHash } from "./profiles.js";
+export { loadParkFactors, parkFactorFor } from "./parks.js";
+export {
+  headshotUrl,
+  getScheduleByDate,
+  getTeamScheduleRange,
+  getBoxscore,
+  getPitcherHand,
+  getBatSides,
+  seasonCutoff
+} from "./statsClient.js";
+export {
+  getVsPitcherOPS,
+  getPitcherSeasonPitchingStats,
+  getOpsVsPitcherHandFromStatSplits,
+  getPitcherGameLog,
+  getHitterGameLogs,
+  getBullpenStats,
+  getSeasonStats,
+  getPitcherHitsPer9ByDateRange,
+  getHomeAwaySplits,
+  getPitcherHomeAwayHitsPer9,
+  getPitcherVsBatterHandSplits,
+  plateAppearances
+} from "./splits.js";
+export { battingOrderSlot, parseSlots } from "./lineups.js";
+export { configureHttp, httpStats } from "./http.js";
+export { SCHEMA_VERSION, validateDaily } from "./schema.js";
+export { hittersToCSV } from "../shared/csv.js";
+export { querySlate, playerHistory, filterHitters } from "./query.js";
+export { diffSlates } from "../shared/slateDiff.js";
@@ -0,0 +1,85 @@
+// Lineup slots: boxscore batting orders, the --slots filter, the 7-day projected slot and posted lineups.
+
+// battingOrder like "101","201"..."901" → hundreds digit = lineup slot (1..9)
+function battingOrderSlot(bo) {
+  if (!bo) return null;
+  const n = Number(bo);
+  if (!Number.isFinite(n)) return null;
+  return Math.floor(n / 100) || null;
+}
+
+// --slots "1-5", "6-9", "1,2,3" or a mix ("1-3,9") → sorted slot list; default is the whole lineup
+const ALL_SLOTS = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+function parseSlots(spec) {
+  if (!spec) return ALL_SLOTS;
+  const slots = new Set();
+  for (const part of String(spec).split(",").map(s => s.trim()).filter(Boolean)) {
+    const m = part.match(/^(\d)(?:-(\d))?$/);
+    if (!m) throw new Error(`--slots expects slots 1-9 like "1-5" or "1,2,9", got "${spec}"`);
+    const lo = Number(m[1]), hi = Number(m[2] ?? m[1]);
+    for (let s = Math.min(lo, hi); s <= Math.max(lo, hi); s++) {
+      if (s >= 1 && s <= 9) slots.add(s);
+    }
+  }
+  if (!slots.size) throw new Error(`--slots "${spec}" keeps no slots`);
+  return Array.from(slots).sort((a, b) => a - b);
+}
+
+function chooseProjectedOrder(counts, latestSlot) {
+  let bestSlot = null, bestCount = -1;
+  for (const [slotStr, count] of Object.entries(counts)) {
+    const slot = Number(slotStr);
+    if (count > bestCount) { bestCount = count; bestSlot = slot; }
+    else if (count === bestCount && slot === latestSlot) { bestSlot = slot; } // tie-breaker to latest
+  }
+  return bestSlot;
+}
+
+// Posted lineup for one team in a game's boxscore: battingOrder is the starters' ids in slot order.
+// Returns Map<playerId, slot> or null while the lineup isn't out.
+function confirmedLineup(box, teamId) {
+  for (const side of [box?.teams?.home, box?.teams?.away]) {
+    if (side?.team?.id !== teamId) continue;
+    const order = Array.isArray(side.battingOrder) ? side.battingOrder : [];
+    if (order.length < 9) return null;
+    return new Map(order.slice(0, 9).map((id, i) => [Number(id), i + 1]));
+  }
+  return null;
+}
+
+// Starting catcher in a team's posted lineup (position code "2"), or null
+function lineupCatcher(box, teamId) {
+  for (const side of [box?.teams?.home, box?.teams?.away]) {
+    if (side?.team?.id !== teamId) continue;
+    const order = Array.isArray(side.battingOrder) ? side.battingOrder.slice(0, 9).map(Number) : [];
+    const players = side.players ?? {};
+    return order.find(id => startingPosition(players[`ID${id}`]) === "2") ?? null;
+  }
+  return null;
+}
+
+// Position a boxscore player started the game at ("2" = catcher)
+function startingPosition(pl) {
+  return pl?.allPositions?.[0]?.code ?? pl?.position?.code ?? null;
+}
+
+// Game 2 of a doubleheader before its own lineup is posted: game 1's lineup (posted, else projected)
+// with game 1's catcher resting, since catchers rarely catch both legs. The team's other catcher
+// from the window bats in his place (or keeps his own slot if game 1 already has him).
+// firstLeg: Map<id, slot>; catcherStarts: Map<id, catcher starts in the window>;
+// firstCatcher: game 1's posted catcher (null → the firstLeg hitter with the most catcher starts)
+// → { slots: Map<id, slot>, rested: [id] }
+function secondLegLineup(firstLeg, { catcherStarts = new Map(), firstCatcher = null } = {}) {
+  const mostStarts = (ids) => ids
+    .filter(id => (catcherStarts.get(id) ?? 0) > 0)
+    .sort((a, b) => catcherStarts.get(b) - catcherStarts.get(a) || a - b)[0] ?? null;
+  const catcher = firstCatcher ?? mostStarts(Array.from(firstLeg.keys()));
+  const backup = catcher ? mostStarts(Array.from(catcherStarts.keys()).filter(id => id !== catcher)) : null;
+  if (!catcher || !backup || !firstLeg.has(catcher)) return { slots: new Map(firstLeg), rested: [] };
+  const slots = new Map(firstLeg);
+  slots.delete(catcher);
+  if (!slots.has(backup)) slots.set(backup, firstLeg.get(catcher));
+  return { slots, rested: [catcher] };
+}
+
+export { battingOrderSlot, ALL_SLOTS, parseSlots, chooseProjectedOrder, confirmedLineup, lineupCatcher, startingPosition, secondLegLineup };
@@ -0,0 +1,46 @@
+// api/index.json: every built date with its game/hitter counts and build time, so the UI can
+// step between built dates and find a player's rows across days without probing for files.
+// Rebuilt from the directory listing after each build and grade.
+//
+// Usage (regenerate by hand, e.g. after deleting files):
+//   node src/manifest.js [--dir api]
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { hittersOf, readJSON, builtDates } from "./slateFiles.js";
+
+// → { generatedAt, dates: [{ date, games, hitters, builtAt, graded }] }, newest first.
+// builtAt is null for files written before builds were stamped.
+function buildManifest(dir = "api") {
+  const resultsDir = path.join(dir, "results");
+  const dates = builtDates(dir)
+    .reverse()
+    .map(date => {
+      const daily = readJSON(path.join(dir, `${date}.json`));
+      return {
+        date,
+        games: daily?.gamesAnalyzed ?? daily?.games?.length ?? null,
+        hitters: daily?.hitterCount ?? hittersOf(daily).length,
+        builtAt: daily?.meta?.builtAt ?? daily?.builtAt ?? null,
+        graded: fs.existsSync(path.join(resultsDir, `${date}.json`))
+      };
+    });
+  return { generatedAt: new Date().toISOString(), dates };
+}
+
+function writeManifest(dir = "api") {
+  const manifest = buildManifest(dir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "index.json"), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+export { buildManifest, writeManifest };
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const i = process.argv.indexOf("--dir");
+  const dir = i > -1 ? process.argv[i + 1] : "api";
+  const m = writeManifest(dir);
+  console.log(`Wrote ${dir}/index.json — ${m.dates.length} date(s)`);
+}
@@ -0,0 +1,39 @@
+// Park factors by MLB venue id (config/park-factors.json), 100 = league average.
+// Each venue has hits / xbh / hr factors and may override them per batter hand under "by_hand".
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_PARK_FACTORS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "config", "park-factors.json");
+const NEUTRAL = { hits: 100, xbh: 100, hr: 100 };
+
+function loadParkFactors(file = DEFAULT_PARK_FACTORS_FILE) {
+  const { _comment, ...byVenue } = JSON.parse(fs.readFileSync(file, "utf8"));
+  return byVenue;
+}
+
+// Switch hitters bat opposite the pitcher's hand
+function effectiveBatSide(batSide, pitcherHand) {
+  if (batSide === "L" || batSide === "R") return batSide;
+  if (batSide === "S") return pitcherHand === "L" ? "R" : pitcherHand === "R" ? "L" : null;
+  return null;
+}
+
+// → { hits, xbh, hr, hand, known } (hand = batter hand whose split was used, or null).
+// Venues missing from the table are neutral (100) with known: false.
+function parkFactorFor(table, venueId, { batSide = null, pitcherHand = null } = {}) {
+  const park = table?.[String(venueId)];
+  if (!park) return { ...NEUTRAL, hand: null, known: false };
+  const hand = effectiveBatSide(batSide, pitcherHand);
+  const split = hand ? park.by_hand?.[hand] : null;
+  return {
+    hits: split?.hits ?? park.hits ?? 100,
+    xbh: split?.xbh ?? park.xbh ?? 100,
+    hr: split?.hr ?? park.hr ?? 100,
+    hand: split ? hand : null,
+    known: true
+  };
+}
+
+export { DEFAULT_PARK_FACTORS_FILE, loadParkFactors, parkFactorFor, effectiveBatSide };
@@ -0,0 +1,140 @@
+// Event probabilities for one hitter-game: P(1+ hit), P(2+ total bases), P(1+ HR).
+// Pure like scoring.js; the score ranks hitters, these are meant to be read as probabilities.
+// - Per-PA rates: hitter's season line shrunk toward league, matched against the pitcher's
+//   H/9 (vs the hitter's side when known) with the odds-ratio (log5) method
+// - With a starter/bullpen PA split, the pitcher side is the share-weighted mix of starter and relief H/9
+// - H2H hits/PA vs this pitcher nudge the per-PA hit rate, shrunk by h2h_prior_pa
+// - Park factors (hits / xbh / hr, 100 = average) scale the matching per-PA rates
+// - Per-game: rates compounded over the profile's projected PA for the slot
+// - Calibration: Platt scaling per event from profile.probability.calibration (fit with backtest --fit)
+
+import { clamp, scoringInputsFromRow } from "./scoring.js";
+
+const LOGIT_EPS = 1e-6;
+const logit = (p) => Math.log(clamp(p, LOGIT_EPS, 1 - LOGIT_EPS) / (1 - clamp(p, LOGIT_EPS, 1 - LOGIT_EPS)));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// Odds-ratio matchup of a batter rate and a pitcher rate against the league rate
+function log5(batter, pitcher, league) {
+  const odds = (p) => p / (1 - p);
+  const o = odds(batter) * odds(pitcher) / odds(league);
+  return o / (1 + o);
+}
+
+// (successes + prior * prior_rate) / (trials + prior)
+function shrink(successes, trials, priorRate, priorTrials) {
+  const n = Number.isFinite(trials) && trials > 0 ? trials : 0;
+  const k = Number.isFinite(successes) ? successes : 0;
+  return (k + priorRate * priorTrials) / (n + priorTrials);
+}
+
+// Platt scaling: p' = sigmoid(a * logit(p) + b); { a: 1, b: 0 } is the identity
+function calibrate(p, { a = 1, b = 0 } = {}) {
+  if (!Number.isFinite(p)) return null;
+  return sigmoid(a * logit(p) + b);
+}
+
+// Per-PA rates for one hitter vs one pitcher. line = season batting line { pa, h, doubles, triples, hr }.
+// Without a line (older snapshots) the hit rate falls back to wTB% (hits/PA) and XBH/HR rates are unknown.
+function perPARates({ line = null, wtb = null, h9 = null, h2h = null, park = null, starterShare = 1, penH9 = null }, cfg) {
+  const { league_hit_pa, league_xbh_pa, league_hr_pa, bf_per_9, hitter_prior_pa, h2h_prior_pa } = cfg;
+  const pa = line?.pa ?? null;
+
+  let hit;
+  if (Number.isFinite(pa) && pa > 0) hit = shrink(line.h, pa, league_hit_pa, hitter_prior_pa);
+  else if (Number.isFinite(wtb)) hit = wtb;
+  else hit = league_hit_pa;
+
+  // Pitcher: hits per batter faced from H/9; the same factor scales XBH and HR rates
+  const hitsPerBF = (x) => (Number.isFinite(x) ? clamp(x / bf_per_9, 0.05, 0.6) : league_hit_pa);
+  const share = Number.isFinite(starterShare) ? clamp(starterShare, 0, 1) : 1;
+  const pitcherHit = share * hitsPerBF(h9) + (1 - share) * hitsPerBF(penH9);
+  const matchup = log5(clamp(hit, 0.01, 0.99), pitcherHit, league_hit_pa);
+  const factor = matchup / hit;
+
+  // H2H: treat the matchup rate as the prior for this pitcher's PA against the hitter
+  const parkMult = (k) => (Number.isFinite(park?.[k]) ? park[k] / 100 : 1);
+  const hitPA = clamp((h2h && h2h.pa > 0 ? shrink(h2h.h, h2h.pa, matchup, h2h_prior_pa) : matchup) * parkMult("hits"), 0, 0.99);
+
+  let xbh = null, hr = null;
+  if (Number.isFinite(pa) && pa > 0) {
+    const xbhRaw = (line.doubles ?? 0) + (line.triples ?? 0) + (line.hr ?? 0);
+    xbh = clamp(shrink(xbhRaw, pa, league_xbh_pa, hitter_prior_pa) * factor * parkMult("xbh"), 0, hitPA);
+    hr = clamp(shrink(line.hr ?? 0, pa, league_hr_pa, hitter_prior_pa) * factor * parkMult("hr"), 0, xbh);
+  }
+  return { hit: hitPA, xbh, hr };
+}
+
+// Compound per-PA rates over n PA (n may be fractional):
+// P(1+ hit) = 1 - (1-p)^n
+// P(2+ TB)  = 1 - P(no hit) - P(exactly one hit and it is a single)
+// P(1+ HR)  = 1 - (1-hr)^n
+function perGame(rates, n) {
+  const p = rates.hit;
+  const hit = 1 - Math.pow(1 - p, n);
+  let tb2 = null, hr = null;
+  if (Number.isFinite(rates.xbh)) {
+    const single = Math.max(0, p - rates.xbh);
+    tb2 = clamp(hit - n * single * Math.pow(1 - p, Math.max(0, n - 1)), 0, 1);
+  }
+  if (Number.isFinite(rates.hr)) hr = 1 - Math.pow(1 - rates.hr, n);
+  return { hit, tb2, hr };
+}
+
+const round3 = (n) => (Number.isFinite(n) ? Number(n.toFixed(3)) : null);
+
+// Calibrated probabilities for one emitted hitter row under a profile.
+// projectedPA comes from scoringInputsFromRow so score and probabilities use the same opportunity.
+function hitterProbabilities(h, projectedPA, profile) {
+  const cfg = profile?.probability;
+  if (!cfg) return null;
+  const splits = h?.probable_pitcher_splits ?? {};
+  const h9 = splits.hitsPer9Inn_vs_batter_side ?? splits.hitsPer9Inn ?? null;
+  const seasons = Array.isArray(h?.ops_vs_pitcher?.seasons) ? h.ops_vs_pitcher.seasons : [];
+  const h2h = seasons.length
+    ? seasons.reduce((a, s) => ({ pa: a.pa + (s.pa ?? 0), h: a.h + (s.h ?? 0) }), { pa: 0, h: 0 })
+    : null;
+  const n = Number.isFinite(projectedPA) ? projectedPA : cfg.default_pa;
+
+  const park = h?.park_factor?.known ? h.park_factor : null;
+  const { starter_share: starterShare, pen_h9: penH9 } = scoringInputsFromRow(h, profile);
+  const rates = perPARates({ line: h?.season_line ?? null, wtb: h?.wtb_percent ?? null, h9, h2h, park, starterShare, penH9 }, cfg);
+  const raw = perGame(rates, n);
+  const cal = cfg.calibration ?? {};
+  return {
+    hit: round3(calibrate(raw.hit, cal.hit)),
+    tb2: round3(calibrate(raw.tb2, cal.tb2)),
+    hr: round3(calibrate(raw.hr, cal.hr))
+  };
+}
+
+// Row with probabilities attached (after scoreRow has set projected_pa)
+function withProbabilities(h, profile) {
+  return { ...h, probabilities: hitterProbabilities(h, h?.projected_pa, profile) };
+}
+
+// Fit Platt scaling { a, b } for predictions [{ p, y }] by Newton's method on log-loss.
+// Returns null below minN samples: a handful of games fits noise.
+function fitPlatt(preds, { iterations = 50, minN = 100 } = {}) {
+  const xs = preds.filter(r => Number.isFinite(r.p)).map(r => ({ x: logit(r.p), y: r.y }));
+  if (xs.length < minN) return null;
+  let a = 1, b = 0;
+  for (let it = 0; it < iterations; it++) {
+    let ga = 0, gb = 0, haa = 0, hab = 0, hbb = 0;
+    for (const { x, y } of xs) {
+      const q = sigmoid(a * x + b);
+      const w = q * (1 - q);
+      ga += (q - y) * x; gb += q - y;
+      haa += w * x * x; hab += w * x; hbb += w;
+    }
+    const det = haa * hbb - hab * hab;
+    if (!(Math.abs(det) > 1e-12)) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    a -= da; b -= db;
+    if (Math.abs(da) < 1e-9 && Math.abs(db) < 1e-9) break;
+  }
+  return { a: Number(a.toFixed(4)), b: Number(b.toFixed(4)) };
+}
+
+export { log5, calibrate, perPARates, perGame, hitterProbabilities, withProbabilities, fitPlatt };
@@ -0,0 +1,63 @@
+// Named scoring profiles (weights, normalization bands, shrinkage priors, projected PA table).
+// Profiles live in config/profiles.json; a profile may "extends" another and override any subset.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const DEFAULT_PROFILES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "config", "profiles.json");
+const DEFAULT_PROFILE = "default";
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+function deepMerge(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over ?? {})) {
+    out[k] = isPlainObject(v) && isPlainObject(base?.[k]) ? deepMerge(base[k], v) : v;
+  }
+  return out;
+}
+// Stable JSON (sorted keys) so the hash only changes when a value does
+function canonical(v) {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(",")}]`;
+  if (isPlainObject(v)) return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonical(v[k])}`).join(",")}}`;
+  return JSON.stringify(v);
+}
+
+// JSON only: there's no YAML parser without adding a dependency
+function loadProfiles(file = DEFAULT_PROFILES_FILE) {
+  if (path.extname(file).toLowerCase() !== ".json") {
+    throw new Error(`Profiles file ${file} must be JSON (.json); other formats such as YAML are not supported`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Resolve a profile by name (following "extends") → { name, hash, description, ...settings }
+function resolveProfile(name = DEFAULT_PROFILE, file = DEFAULT_PROFILES_FILE) {
+  const all = loadProfiles(file);
+  const chain = []; // names followed so far, for the cycle message
+  const resolve = (n) => {
+    if (!all[n]) throw new Error(`Unknown scoring profile "${n}" in ${file}`);
+    if (chain.includes(n)) {
+      const cycle = [...chain.slice(chain.indexOf(n)), n];
+      throw new Error(cycle.length === 2
+        ? `Scoring profile "${n}" extends itself`
+        : `Scoring profiles extend each other in a cycle: ${cycle.join(" → ")}`);
+    }
+    chain.push(n);
+    const { extends: parent, ...own } = all[n];
+    return parent ? deepMerge(resolve(parent), own) : own;
+  };
+  const { description = null, ...settings } = resolve(name);
+  return { name, hash: profileHash(settings), description, ...settings };
+}
+
+// Short content hash of a profile's settings (name/description excluded)
+function profileHash(settings) {
+  const { name, hash, description, ...rest } = settings ?? {};
+  return crypto.createHash("sha256").update(canonical(rest)).digest("hex").slice(0, 12);
+}
+
+export { DEFAULT_PROFILE, DEFAULT_PROFILES_FILE, loadProfiles, resolveProfile, profileHash };
@@ -0,0 +1,65 @@
+// Questions over the saved daily files, without downloading and scanning them whole:
+// one date's hitters filtered by team / score / slot, and one player's rows across every built date.
+// Used by the dev server's JSON routes (scripts/devServer.js) and importable from index.js.
+
+import fs from "fs";
+import path from "path";
+import { parseSlots } from "./lineups.js";
+import { DATE_RE, hittersOf, readJSON, builtDates } from "./slateFiles.js";
+
+// date = YYYY-MM-DD or "today" (api/today.json); null when the file isn't there
+function readDaily(dir, date) {
+  if (date !== "today" && !DATE_RE.test(String(date))) throw new Error(`date expects YYYY-MM-DD or "today", got "${date}"`);
+  return readJSON(path.join(dir, `${date}.json`));
+}
+
+// team: case-insensitive match on the hitter's team name (substring); minScore: score >= n;
+// slots: "1-5" / "1,2,9" spec as for --slots, matched against the projected (or posted) slot
+function filterHitters(hitters, { team = null, minScore = null, slots = null } = {}) {
+  const teamQ = team ? String(team).toLowerCase() : null;
+  const min = minScore == null || minScore === "" ? null : Number(minScore);
+  if (min != null && !Number.isFinite(min)) throw new Error(`minScore expects a number, got "${minScore}"`);
+  const keep = slots ? parseSlots(slots) : null;
+  return hitters.filter(h =>
+    (!teamQ || String(h.opponentTeamName ?? "").toLowerCase().includes(teamQ)) &&
+    (min == null || (Number.isFinite(h.score) && h.score >= min)) &&
+    (!keep || keep.includes(h.projectedBattingOrder)));
+}
+
+// → { date, schemaVersion, meta, total, count, hitters } sorted by score, or null when the date isn't built
+function querySlate(dir, date, filters = {}) {
+  const daily = readDaily(dir, date);
+  if (!daily) return null;
+  const all = hittersOf(daily);
+  const hitters = filterHitters(all, filters).sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+  return {
+    date: daily.date ?? date,
+    schemaVersion: daily.schemaVersion ?? 0,
+    meta: daily.meta ?? null,
+    total: all.length,
+    count: hitters.length,
+    hitters
+  };
+}
+
+// → { id, name, dates, history: [{ date, gamePk, row, actual }] } oldest first.
+// actual is the graded outcome from api/results/<date>.json (null until graded).
+function playerHistory(dir, playerId) {
+  const id = Number(playerId);
+  if (!Number.isInteger(id) || id <= 0) throw new Error(`player id expects a number, got "${playerId}"`);
+  const dates = builtDates(dir);
+  const history = [];
+  for (const date of dates) {
+    const daily = readJSON(path.join(dir, `${date}.json`));
+    const rows = hittersOf(daily).filter(h => h.id === id);
+    if (!rows.length) continue;
+    const results = readJSON(path.join(dir, "results", `${date}.json`));
+    for (const row of rows) {
+      const actual = (results?.hitters ?? []).find(r => r.id === id && r.gamePk === row.gamePk)?.actual ?? null;
+      history.push({ date: daily.date ?? date, gamePk: row.gamePk ?? null, row, actual });
+    }
+  }
+  return { id, name: history[history.length - 1]?.row.name ?? null, dates: dates.length, history };
+}
+
+export { readDaily, filterHitters, querySlate, playerHistory };
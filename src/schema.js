@@ -0,0 +1,69 @@
+// Daily file schema (schema/daily.schema.json) and a small validator for it.
+// Covers the JSON Schema keywords the schema uses: $ref (local #/$defs), type, const, enum,
+// required, properties, items, pattern, minimum, maximum. Other keywords (format, ...) are ignored.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Bump when a field is renamed or removed, or changes meaning; adding fields does not need a bump
+const SCHEMA_VERSION = 1;
+const DEFAULT_SCHEMA_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "schema", "daily.schema.json");
+
+function loadSchema(file = DEFAULT_SCHEMA_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v; // "number" here means a non-integer
+}
+
+function matchesType(v, type) {
+  const t = typeOf(v);
+  return type === t || (type === "number" && t === "integer");
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref ${ref}`);
+  return ref.slice(2).split("/").reduce((o, k) => o?.[k], root);
+}
+
+// → [{ path, message }]; empty when valid. path is a JSON-pointer-like "hitters/3/score".
+function validate(value, schema, root = schema, at = "", errors = []) {
+  if (schema.$ref) return validate(value, resolveRef(root, schema.$ref), root, at, errors);
+  const fail = (message) => errors.push({ path: at || "/", message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      fail(`expected ${types.join(" | ")}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if ("const" in schema && value !== schema.const) fail(`expected ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`expected one of ${schema.enum.map(e => JSON.stringify(e)).join(", ")}, got ${JSON.stringify(value)}`);
+  if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`does not match ${schema.pattern}`);
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) fail(`below minimum ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`above maximum ${schema.maximum}`);
+  }
+  if (typeOf(value) === "object") {
+    for (const k of schema.required ?? []) if (!(k in value)) fail(`missing required "${k}"`);
+    for (const [k, sub] of Object.entries(schema.properties ?? {})) {
+      if (k in value) validate(value[k], sub, root, `${at}/${k}`, errors);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => validate(v, schema.items, root, `${at}/${i}`, errors));
+  }
+  return errors;
+}
+
+function validateDaily(daily, schema = loadSchema()) {
+  return validate(daily, schema);
+}
+
+export { SCHEMA_VERSION, DEFAULT_SCHEMA_FILE, loadSchema, validate, validateDaily };
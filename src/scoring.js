@@ -0,0 +1,387 @@
+// Pure scoring model: normalization helpers, H2H grid and scoreHitter().
+// No network or file access here so the same code scores live builds and backtests.
+// Weights, bands and shrinkage priors come from a resolved scoring profile (see profiles.js).
+// Profiles with a shrinkage section score small samples through shrinkage.js; profiles without
+// one (legacy-ramps) keep the older PA ramps and the H2H grid.
+
+import { shrinkSplits, roundShrunk } from "./shrinkage.js";
+
+const OPS_BASELINE = 0.72; // league-ish baseline
+function clamp(n, lo, hi) { return Math.min(hi, Math.max(lo, n)); }
+function normOPS(ops, { min, max }) {
+  if (ops == null) return 0.5; // neutral
+  return clamp((ops - min) / (max - min), 0, 1);
+}
+function normH9(h9, { min, max }) {
+  if (!Number.isFinite(h9)) return 0.5;
+  return clamp((h9 - min) / (max - min), 0, 1);
+}
+// Park hit factor (100 = average) → 0..1 across the band; unknown parks are neutral
+function normPark(pf, { min, max } = { min: 90, max: 115 }) {
+  if (!Number.isFinite(pf)) return 0.5;
+  return clamp((pf - min) / (max - min), 0, 1);
+}
+// Weight WTB by season PA confidence: below min_pa dampens, max_pa reaches full weight,
+// floor = minimum fraction of WTB weight
+function wtbPAConfidence(pa, { min_pa, max_pa, floor }) {
+  if (!Number.isFinite(pa)) return floor; // conservative if missing
+  const x = clamp((pa - min_pa) / (max_pa - min_pa), 0, 1);
+  const eased = Math.sqrt(x); // faster early gain, smoother tail
+  return floor + (1 - floor) * eased;
+}
+// Normalize weighted TB% around league baseline (base) and elite threshold; floor = poor
+function normWTB(w, { floor, base, elite }) {
+  if (!Number.isFinite(w)) return 0.5; // neutral if missing
+  if (w <= floor) return 0;
+  if (w >= elite) return 1;
+  if (w === base) return 0.5;
+  if (w > base) {
+    return 0.5 + 0.5 * ((w - base) / (elite - base));
+  }
+  // w between floor and base
+  return 0.5 * ((w - floor) / (base - floor));
+}
+
+// H2H calibration grid from user-provided expectations (points out of 30)
+// Columns = OPS bins: 0.2, 0.4, 0.6, 0.7, 0.8, 0.85, 0.9, 0.95, 1.0, 1.2, 1.4, 2.0+
+// Rows = AB 1..25
+const H2H_OPS_BINS = [0.2, 0.4, 0.6, 0.7, 0.8, 0.85, 0.9, 0.95, 1.0, 1.2, 1.4, 2.0];
+const H2H_GRID_POINTS = [
+  [14, 14, 14, 14, 14, 16, 16, 16, 16, 17, 17, 19], // 1
+  [10, 11, 13, 13, 14, 16, 16, 17, 17, 18, 24, 29], // 2
+  [10, 11, 12, 12, 14, 16, 19, 19, 19, 20, 24, 29], // 3
+  [6, 7, 11, 11, 14, 17, 20, 19, 20, 22, 28, 30], // 4
+  [5, 7, 10, 11, 14, 17, 20, 20, 23, 25, 28, 30], // 5
+  [5, 7, 8, 11, 14, 17, 20, 20, 24, 26, 29, 30], // 6
+  [5, 7, 7, 10, 14, 17, 20, 22, 25, 26, 29, 30], // 7
+  [4, 6, 7, 10, 14, 18, 20, 22, 25, 28, 29, 30], // 8
+  [4, 6, 7, 10, 14, 18, 20, 22, 25, 28, 29, 30], // 9
+  [4, 5, 7, 10, 14, 18, 20, 22, 26, 28, 29, 30], // 10
+  [2, 4, 7, 10, 14, 18, 20, 22, 26, 28, 29, 30], // 11
+  [2, 4, 7, 8, 14, 19, 20, 22, 28, 28, 29, 30], // 12
+  [2, 4, 7, 8, 14, 19, 22, 23, 28, 29, 29, 30], // 13
+  [2, 2, 7, 8, 14, 19, 22, 23, 28, 29, 30, 30], // 14
+  [2, 2, 6, 8, 14, 19, 22, 23, 28, 29, 30, 30], // 15
+  [2, 2, 6, 7, 14, 20, 23, 23, 29, 29, 30, 30], // 16
+  [2, 2, 6, 7, 14, 20, 23, 24, 29, 29, 30, 30], // 17
+  [2, 2, 5, 7, 14, 20, 23, 24, 29, 30, 30, 30], // 18
+  [2, 2, 5, 7, 14, 22, 23, 25, 29, 30, 30, 30], // 19
+  [1, 1, 5, 7, 14, 22, 24, 25, 29, 30, 30, 30], // 20
+  [1, 1, 4, 6, 14, 22, 24, 26, 30, 30, 30, 30], // 21
+  [1, 1, 4, 6, 14, 22, 24, 26, 30, 30, 30, 30], // 22
+  [1, 1, 4, 6, 14, 22, 25, 26, 30, 30, 30, 30], // 23
+  [1, 1, 4, 6, 14, 22, 25, 28, 30, 30, 30, 30], // 24
+  [1, 1, 4, 6, 14, 22, 25, 28, 30, 30, 30, 30]  // 25
+];
+
+// Bilinear interpolation over AB (1..25) and OPS bins to get share in [0, 0.30]
+function h2hWeightFromGrid(ab, ops) {
+  if (!Number.isFinite(ab)) ab = 0;
+  if (!Number.isFinite(ops)) ops = OPS_BASELINE;
+  // Clamp AB to [1,25], map 0/negatives to 1
+  const abClamped = clamp(Math.round(ab), 1, 25);
+  const r0 = abClamped - 1;
+  const r1 = r0; // AB are integers; if fractional AB appear, extend to interpolate
+  const t = 0;   // no AB interpolation needed for integer AB
+
+  // Clamp OPS to [first_bin, last_bin]
+  const opsClamped = clamp(ops, H2H_OPS_BINS[0], H2H_OPS_BINS[H2H_OPS_BINS.length - 1]);
+  // Find bin indices i (low) and i+1 (high)
+  let i = 0;
+  for (let k = 0; k < H2H_OPS_BINS.length - 1; k++) {
+    if (opsClamped >= H2H_OPS_BINS[k] && opsClamped <= H2H_OPS_BINS[k + 1]) { i = k; break; }
+  }
+  const lo = H2H_OPS_BINS[i];
+  const hi = H2H_OPS_BINS[Math.min(i + 1, H2H_OPS_BINS.length - 1)];
+  const u = hi > lo ? (opsClamped - lo) / (hi - lo) : 0;
+
+  const row0 = H2H_GRID_POINTS[r0];
+  const row1 = H2H_GRID_POINTS[r1];
+  const v0 = row0[i] + u * (row0[Math.min(i + 1, row0.length - 1)] - row0[i]);
+  const v1 = row1[i] + u * (row1[Math.min(i + 1, row1.length - 1)] - row1[i]);
+  const points = v0 + t * (v1 - v0);
+  return clamp(points / 100, 0, 0.30); // 30% weight on H2H
+}
+
+// Recency inputs picked by profile.form: hitter "7d" | "14d" | "30d" | "ewma" (row.form, OPS with its PA),
+// pitcher "28d" (hitsPer9Inn_last_28_days) | "7d" | "14d" | "30d" | "ewma" (probable_pitcher_splits.form H/9).
+// Rows built before form windows existed fall back to the 7-day OPS and the 28-day H/9.
+function recentHitterLine(h, profile) {
+  const key = profile?.form?.hitter ?? "7d";
+  return (h?.form ? h.form[key] : null) ?? h?.ops_last_7_days ?? null;
+}
+function recentPitcherH9(h, profile) {
+  const pp = h?.probable_pitcher_splits;
+  const key = profile?.form?.pitcher ?? "28d";
+  if (key === "28d" || !pp?.form) return pp?.hitsPer9Inn_last_28_days ?? null;
+  return pp.form[key]?.h9 ?? null;
+}
+
+// Estimated plate appearances by batting slot and site, from the profile's projected_pa table
+function projectedPAFor(slot, isHome, profile) {
+  if (!Number.isFinite(slot)) return null;
+  const site = isHome ? 'home' : 'away';
+  const val = profile?.projected_pa?.[site]?.[slot];
+  return typeof val === 'number' ? val : null;
+}
+// Optional starter-quality components, off unless a profile gives them a weight.
+// key = weight/band name, field = probable_pitcher_splits field; invert when a higher value
+// hurts the hitter. Each band maps { min, max } to 0..1 (1 = favors the hitter).
+const PITCHER_COMPONENTS = {
+  k_pct: { field: "k_pct", invert: true },
+  bb_pct: { field: "bb_pct" },
+  hr9: { field: "hr_per_9" },
+  whip: { field: "whip" },
+  ops_allowed: { field: "ops_vs_batter_side" },
+  gb_rate: { field: "gb_rate" }
+};
+function normBand(v, { min, max }, invert = false) {
+  if (!Number.isFinite(v)) return 0.5;
+  const x = clamp((v - min) / (max - min), 0, 1);
+  return invert ? 1 - x : x;
+}
+
+// Starter's expected innings from profile.bullpen: recent starts (when there are enough)
+// blended with season IP per start; league default when neither is known.
+// A last start under limited_pitch_count reads as a pitch limit (rehab, opener, return from IL):
+// expect at most one inning more than that outing.
+function expectedStarterIP(pp, cfg) {
+  const season = Number.isFinite(pp?.ip_per_start_season) ? pp.ip_per_start_season : null;
+  const recent = Number.isFinite(pp?.ip_per_start_recent) && (pp?.recent_starts ?? 0) >= cfg.min_recent_starts
+    ? pp.ip_per_start_recent
+    : null;
+  const ip = recent != null && season != null
+    ? cfg.recent_weight * recent + (1 - cfg.recent_weight) * season
+    : recent ?? season ?? cfg.default_starter_ip;
+  const limited = Number.isFinite(pp?.last_start_pitches) && Number.isFinite(pp?.last_start_ip)
+    && Number.isFinite(cfg.limited_pitch_count) && pp.last_start_pitches < cfg.limited_pitch_count;
+  return limited ? Math.min(ip, pp.last_start_ip + 1) : ip;
+}
+
+// Split a hitter's projected PA between starter and bullpen.
+// His k-th PA is the team's (slot + 9(k-1))-th batter; the starter faces the first
+// expectedIP * bf_per_inning batters (the last one fractionally).
+function paSplit(slot, projectedPA, expectedIP, bfPerInning) {
+  if (!Number.isFinite(projectedPA) || !Number.isFinite(expectedIP)) return null;
+  const s = Number.isFinite(slot) ? slot : 5;
+  const starterBF = expectedIP * bfPerInning;
+  let starter = 0;
+  for (let k = 0; k < projectedPA; k++) {
+    const share = Math.min(1, projectedPA - k);          // last PA may be fractional
+    const batter = s + 9 * k;                            // team batter number for this PA
+    starter += share * clamp(starterBF - (batter - 1), 0, 1);
+  }
+  const r2 = (n) => Number(n.toFixed(2));
+  return { starter: r2(starter), bullpen: r2(projectedPA - starter), starter_share: r2(starter / projectedPA) };
+}
+
+// Score one hitter from already-gathered inputs (see scoringInputsFromRow for the shape)
+// under a resolved profile. Returns { score: 1..100, score_breakdown: points per component, h2h_share,
+// shrunk: shrinkSplits values or null without profile.shrinkage }.
+function scoreHitter(inputs, profile) {
+  const {
+    wtb = null, season_pa = null,
+    h9_vs_side = null, h9_28 = null,
+    ops_vs_hand = null, ops_site = null,
+    ops_last7 = null, pa_last7 = null,
+    projected_pa = null,
+    h2h_ab = 0, h2h_ops = null,
+    park_hits = null,
+    starter_share = 1, pen_h9 = null, pen_ops = null,
+    pitcher_rates = {}
+  } = inputs ?? {};
+
+  const baseW = profile.weights;
+  const bands = profile.bands;
+  const pitcherKeys = Object.keys(PITCHER_COMPONENTS).filter(k => baseW[k] > 0);
+  // Shrunk splits carry their own sample size, so H2H and last7 keep their base weights.
+  // Legacy: H2H weight from the calibrated grid, last7 weight ramped by PA.
+  const shrunk = profile.shrinkage ? shrinkSplits(inputs, profile.shrinkage) : null;
+  const w_h2h_dyn = shrunk ? baseW.h2h : h2hWeightFromGrid(h2h_ab ?? 0, h2h_ops);
+
+  // last7 dynamic weight with neutral baseline when PA is insufficient
+  let w_last7_dyn;
+  const { min_pa: l7Min, max_pa: l7Max } = profile.last7_pa_ramp ?? {};
+  if (shrunk) {
+    w_last7_dyn = baseW.last7;
+  } else if (pa_last7 != null && pa_last7 >= l7Min && Number.isFinite(ops_last7)) {
+    const linScaleL7 = clamp(((pa_last7 ?? 0) - l7Min) / (l7Max - l7Min), 0, 1);
+    const sqrtScaleL7 = Math.sqrt(linScaleL7);
+    w_last7_dyn = baseW.last7 * (0.50 + 0.50 * sqrtScaleL7);
+  } else {
+    // Neutral half-weight when PA insufficient or OPS missing
+    w_last7_dyn = baseW.last7 * 0.50;
+  }
+
+  // Redistribute only from h9_side, h9_28, ops_hand, ops_site, last7, park and any
+  // weighted pitcher components.
+  // Do NOT shrink from wtb and opp; keep them fixed.
+  const fixedSum = baseW.wtb + baseW.opp + w_h2h_dyn;
+  const shrinkPre = {
+    h9_side: baseW.h9_side,
+    h9_28: baseW.h9_28,
+    ops_hand: baseW.ops_hand,
+    ops_site: baseW.ops_site,
+    last7: w_last7_dyn,
+    park: baseW.park ?? 0,          // profiles without a park weight ignore it
+    ...Object.fromEntries(pitcherKeys.map(k => [k, baseW[k]]))
+  };
+  const shrinkSum = Object.values(shrinkPre).reduce((a, b) => a + (Number.isFinite(b) ? b : 0), 0);
+  const remaining = 1 - fixedSum;
+  const scaleShrink = shrinkSum > 0 ? Math.max(0, remaining) / shrinkSum : 1;
+  const w = {
+    wtb: baseW.wtb,                  // fixed
+    opp: baseW.opp,                  // fixed
+    h2h: w_h2h_dyn,                  // dynamic, not scaled with others
+    h9_side: shrinkPre.h9_side * scaleShrink,
+    h9_28: shrinkPre.h9_28 * scaleShrink,
+    ops_hand: shrinkPre.ops_hand * scaleShrink,
+    ops_site: shrinkPre.ops_site * scaleShrink,
+    park: shrinkPre.park * scaleShrink,
+    ...Object.fromEntries(pitcherKeys.map(k => [k, shrinkPre[k] * scaleShrink])),
+    // Cap last7 so it never exceeds its base weight
+    last7: Math.min(shrinkPre.last7 * scaleShrink, baseW.last7)
+  };
+  // Bullpen: the starter terms only cover the starter's share of PA; the rest of their
+  // combined weight goes to the bullpen (relief H/9 and relief OPS allowed)
+  const share = Number.isFinite(starter_share) ? clamp(starter_share, 0, 1) : 1;
+  const starterKeys = ['h9_side', 'h9_28', ...pitcherKeys];
+  const penWeight = starterKeys.reduce((a, k) => a + w[k], 0) * (1 - share);
+  for (const k of starterKeys) w[k] *= share;
+  const penParts = [
+    Number.isFinite(pen_h9) ? normH9(pen_h9, bands.h9) : null,
+    Number.isFinite(pen_ops) ? normOPS(pen_ops, bands.pen_ops ?? bands.ops) : null
+  ].filter(v => v != null);
+  const penNorm = penParts.length ? penParts.reduce((a, b) => a + b, 0) / penParts.length : 0.5;
+
+  // Opportunity: start at half of max opp weight at opp_pa.min, ramp to full at opp_pa.max
+  const { min: oppMin, max: oppMax } = bands.opp_pa;
+  const oppNorm = projected_pa == null ? 0.5 : clamp((projected_pa - oppMin) / (oppMax - oppMin), 0, 1);
+  const oppShare = w.opp * (0.5 + 0.5 * oppNorm);
+  const comp = {
+    // Season WTB: shrunk toward league, or (legacy) damped by season PA confidence
+    wtb: shrunk
+      ? normWTB(shrunk.wtb, bands.wtb) * w.wtb
+      : (normWTB(wtb, bands.wtb) * w.wtb) * wtbPAConfidence(season_pa, profile.wtb_pa_confidence),
+    h9_side: normH9(h9_vs_side, bands.h9) * w.h9_side,
+    h9_28: normH9(h9_28, bands.h9) * w.h9_28,
+    ops_hand: normOPS(shrunk ? shrunk.ops_vs_pitcher_hand : ops_vs_hand, bands.ops) * w.ops_hand,
+    ops_site: normOPS(shrunk ? shrunk.ops_site : ops_site, bands.ops) * w.ops_site,
+    last7: normOPS(shrunk ? shrunk.ops_recent : ops_last7, bands.ops) * w.last7,
+    park: w.park ? normPark(park_hits, bands.park) * w.park : 0,
+    ...Object.fromEntries(pitcherKeys.map(k => {
+      const { field, invert } = PITCHER_COMPONENTS[k];
+      return [k, normBand(pitcher_rates?.[field], bands[k], invert) * w[k]];
+    })),
+    pen: penNorm * penWeight,
+    opp: oppShare,
+    // The grid weight already encodes how good the H2H line is; a shrunk H2H OPS is normalized like the others
+    h2h: shrunk ? normOPS(shrunk.ops_vs_pitcher, bands.ops) * w.h2h : w.h2h
+  };
+  const scoreRaw = Object.values(comp).reduce((a, b) => a + (Number.isFinite(b) ? b : 0), 0);
+  const scaledScore = Math.max(1, Math.round(clamp(scoreRaw, 0, 1) * 100));
+  // Build a breakdown that pins H2H to its absolute value (round(comp.h2h*100))
+  // and scales remaining components proportionally to fill the rest, so totals match 'score'.
+  const entries = Object.entries(comp);
+  const absH2H = Number.isFinite(comp.h2h) ? Math.round(comp.h2h * 100) : 0;
+  const others = entries.filter(([k]) => k !== 'h2h');
+  const denomOthers = others.reduce((a, [, v]) => a + (Number.isFinite(v) ? v : 0), 0);
+  const remainingPts = Math.max(0, scaledScore - absH2H);
+
+  let tmp = [];
+  if (denomOthers > 0) {
+    // Scale other components to fill the remainder
+    const scaledOthers = others.map(([k, v]) => {
+      const base = Number.isFinite(v) ? v : 0;
+      const scaled = remainingPts * (base / denomOthers);
+      return [k, Math.max(0, Math.round(scaled))];
+    });
+    // Fix rounding delta among others (do not touch h2h)
+    const sumOthers = scaledOthers.reduce((a, [, n]) => a + n, 0);
+    let delta = remainingPts - sumOthers;
+    if (delta !== 0 && scaledOthers.length > 0) {
+      const maxIdx = others
+        .map(([, v], i) => ({ i, v: Number.isFinite(v) ? v : -1 }))
+        .sort((a, b) => b.v - a.v)[0].i;
+      scaledOthers[maxIdx][1] = Math.max(0, scaledOthers[maxIdx][1] + delta);
+    }
+    tmp = [...scaledOthers, ['h2h', absH2H]];
+  } else {
+    // No other components; assign all points to H2H to match total
+    tmp = [['h2h', scaledScore]];
+  }
+  const score = scaledScore;
+  const score_breakdown = Object.fromEntries(tmp);
+
+  return { score, score_breakdown, h2h_share: w.h2h, shrunk };
+}
+
+// Rebuild scoreHitter inputs from an emitted hitter row (api/YYYY-MM-DD.json).
+// Projected PA comes from the profile's table when the slot is known; the starter/bullpen
+// split only applies when the profile has a bullpen section.
+function scoringInputsFromRow(h, profile) {
+  const projected_pa = projectedPAFor(h?.projectedBattingOrder, h?.site === 'Home', profile) ?? h?.projected_pa ?? null;
+  const starterIP = profile?.bullpen ? expectedStarterIP(h?.probable_pitcher_splits, profile.bullpen) : null;
+  const paShares = profile?.bullpen ? paSplit(h?.projectedBattingOrder, projected_pa, starterIP, profile.bullpen.bf_per_inning) : null;
+  const split = paShares ? { ...paShares, starter_ip: Number(starterIP.toFixed(1)) } : null;
+  return {
+    wtb: h?.wtb_percent ?? null,
+    season_pa: h?.season_pa ?? null,
+    season_ops: h?.season_line?.ops ?? null,
+    h9_vs_side: h?.probable_pitcher_splits?.hitsPer9Inn_vs_batter_side ?? null,
+    h9_28: recentPitcherH9(h, profile),
+    ops_vs_hand: h?.ops_vs_pitcher_hand?.ops ?? null,
+    pa_vs_hand: h?.ops_vs_pitcher_hand?.pa ?? null,
+    ops_site: h?.ops_site?.ops ?? null,
+    pa_site: h?.ops_site?.pa ?? null,
+    // "last7" is the recency component whichever window the profile picks
+    ops_last7: recentHitterLine(h, profile)?.ops ?? null,
+    pa_last7: recentHitterLine(h, profile)?.pa ?? null,
+    projected_pa,
+    h2h_ab: h?.ops_vs_pitcher?.ab_weighted ?? h?.ops_vs_pitcher?.ab ?? 0,
+    h2h_ops: h?.ops_vs_pitcher?.ops ?? null,
+    park_hits: h?.park_factor?.known ? h.park_factor.hits : null,
+    pa_split: split,
+    starter_share: split?.starter_share ?? 1,
+    pen_h9: h?.bullpen?.hitsPer9Inn ?? null,
+    pen_ops: h?.bullpen?.ops ?? null,
+    pitcher_rates: Object.fromEntries(Object.values(PITCHER_COMPONENTS)
+      .map(({ field }) => [field, h?.probable_pitcher_splits?.[field] ?? null]))
+  };
+}
+
+// Score an emitted (or about-to-be-emitted) hitter row under a profile
+function scoreRow(h, profile) {
+  const inputs = scoringInputsFromRow(h, profile);
+  const { score, score_breakdown, h2h_share, shrunk } = scoreHitter(inputs, profile);
+  return {
+    ...h,
+    projected_pa: inputs.projected_pa,
+    pa_split: inputs.pa_split,
+    shrunk: roundShrunk(shrunk),
+    score,
+    h2h_share,
+    score_breakdown
+  };
+}
+
+export {
+  OPS_BASELINE,
+  clamp,
+  normOPS,
+  normH9,
+  normWTB,
+  normPark,
+  normBand,
+  PITCHER_COMPONENTS,
+  wtbPAConfidence,
+  h2hWeightFromGrid,
+  recentHitterLine,
+  recentPitcherH9,
+  projectedPAFor,
+  expectedStarterIP,
+  paSplit,
+  scoreHitter,
+  scoringInputsFromRow,
+  scoreRow
+};
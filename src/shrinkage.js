@@ -0,0 +1,49 @@
+// Empirical-Bayes shrinkage for small-sample splits.
+// Every rate is a PA-weighted blend of what the hitter did and what we'd expect without the sample:
+//
+//   shrunk = (raw * n + prior * k) / (n + k)
+//
+// n = the split's PA (AB for H2H, decay-weighted when --h2h-decay is set), k = the profile's prior strength.
+// Priors nest: season OPS regresses toward league OPS; the hand / site / recent-form / H2H splits
+// regress toward that shrunk season OPS. wTB% (hits/PA) regresses toward league wTB%.
+// A split with no sample (or no value) lands exactly on its prior.
+
+function shrinkRate(raw, n, prior, k) {
+  if (!Number.isFinite(prior)) return Number.isFinite(raw) ? raw : null;
+  const pa = Number.isFinite(raw) && Number.isFinite(n) && n > 0 ? n : 0;
+  const strength = Number.isFinite(k) && k > 0 ? k : 0;
+  if (pa + strength === 0) return prior;
+  return ((pa > 0 ? raw * pa : 0) + prior * strength) / (pa + strength);
+}
+
+const round3 = (n) => (Number.isFinite(n) ? Number(n.toFixed(3)) : null);
+
+// Shrunk values for one hitter from scoreHitter inputs under profile.shrinkage
+// { league: { ops, wtb }, prior_pa: { season_ops, wtb, ops_hand, ops_site, last7, h2h } }.
+// Keys mirror the row fields they stand in for; ops_recent is the profile's recency window (profile.form.hitter).
+function shrinkSplits(inputs, cfg) {
+  const { league, prior_pa: k } = cfg;
+  const {
+    season_ops = null, season_pa = null, wtb = null,
+    ops_vs_hand = null, pa_vs_hand = null,
+    ops_site = null, pa_site = null,
+    ops_last7 = null, pa_last7 = null,
+    h2h_ops = null, h2h_ab = 0
+  } = inputs ?? {};
+  const season = shrinkRate(season_ops, season_pa, league.ops, k.season_ops);
+  return {
+    season_ops: season,
+    wtb: shrinkRate(wtb, season_pa, league.wtb, k.wtb),
+    ops_vs_pitcher_hand: shrinkRate(ops_vs_hand, pa_vs_hand, season, k.ops_hand),
+    ops_site: shrinkRate(ops_site, pa_site, season, k.ops_site),
+    ops_recent: shrinkRate(ops_last7, pa_last7, season, k.last7),
+    ops_vs_pitcher: shrinkRate(h2h_ops, h2h_ab, season, k.h2h)
+  };
+}
+
+// The same, rounded for the emitted row (row.shrunk)
+function roundShrunk(shrunk) {
+  return shrunk ? Object.fromEntries(Object.entries(shrunk).map(([key, v]) => [key, round3(v)])) : null;
+}
+
+export { shrinkRate, shrinkSplits, roundShrunk };
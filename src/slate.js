@@ -0,0 +1,647 @@
+// Slate builder: every probable pitcher on a date, their opponents' projected (or posted) lineups,
+// matchup inputs and per-profile scores, returned as the daily object (schema/daily.schema.json).
+// Nothing here writes to disk; buildDaily.js is the CLI that validates and writes the files.
+//
+//   const daily = await buildSlate("2025-08-30", { profile: "default" });
+//
+// Fetched inputs don't depend on the profile, so callers scoring several profiles run
+// analyzeSlate once and scoreSlate per profile.
+
+import { scoreRow } from "./scoring.js";
+import { withProbabilities } from "./probability.js";
+import { SCHEMA_VERSION } from "./schema.js";
+import { loadParkFactors, parkFactorFor, effectiveBatSide } from "./parks.js";
+import { DEFAULT_PROFILE, DEFAULT_PROFILES_FILE, resolveProfile } from "./profiles.js";
+import { httpStats } from "./http.js";
+import {
+  headshotUrl,
+  getScheduleByDate,
+  getTeamScheduleRange,
+  getBoxscore,
+  getPitcherHand,
+  getBatSides,
+  fmtUSDate,
+  addDaysYMD,
+  seasonCutoff
+} from "./statsClient.js";
+import {
+  H2H_SEASONS,
+  H2H_RECENCY_DECAY,
+  h2hSpanLabel,
+  getVsPitcherOPS,
+  getPitcherSeasonPitchingStats,
+  getOpsVsPitcherHandFromStatSplits,
+  pickOpsVsHand,
+  pickPA_VsHand,
+  pitcherRateStats,
+  inningsFromIP,
+  getPitcherGameLog,
+  recentStarts,
+  getHitterGameLogs,
+  getBullpenStats,
+  getSeasonStats,
+  plateAppearances,
+  computeWTB,
+  getPitcherHitsPer9ByDateRange,
+  getHomeAwaySplits,
+  getPitcherHomeAwayHitsPer9,
+  pickHomeAwayOPS,
+  pickHomeAwayPA,
+  getPitcherVsBatterHandSplits
+} from "./splits.js";
+import { battingOrderSlot, ALL_SLOTS, parseSlots, chooseProjectedOrder, confirmedLineup, lineupCatcher, startingPosition, secondLegLineup } from "./lineups.js";
+import { hitterForm, pitcherForm } from "./form.js";
+import { DEFAULT_LIVE_STATES, DEFAULT_BACKFILL_STATES, SKIP_REASONS, gameState, parseStates, skipDetail, gameLeg, firstLegOf } from "./games.js";
+
+// Progress and warnings go to opts.log ({ info, warn }, e.g. console); quiet by default
+const SILENT = { info() {}, warn() {} };
+
+// Reusable probable pitcher splits object (expand with split stats later)
+function buildProbablePitcherSplits(pitcher) {
+  if (!pitcher) return null;
+  return {
+    id: pitcher.id ?? null,
+    name: pitcher.name ?? null,
+    headshotUrl: headshotUrl(pitcher.id) ?? null,
+    hitsPer9Inn: (Number.isFinite(pitcher.hitsPer9Inn) ? Number(pitcher.hitsPer9Inn) : null),
+    hitsPer9Inn_site: (Number.isFinite(pitcher.hitsPer9Inn_site) ? Number(pitcher.hitsPer9Inn_site) : null),
+    hitsPer9Inn_last_28_days: (Number.isFinite(pitcher.hitsPer9Inn_last_28_days) ? Number(pitcher.hitsPer9Inn_last_28_days) : null),
+    // Beyond H/9: strikeouts, walks, power, baserunners, OPS by batter hand, batted-ball mix
+    k_pct: pitcher.k_pct ?? null,
+    bb_pct: pitcher.bb_pct ?? null,
+    hr_per_9: pitcher.hr_per_9 ?? null,
+    whip: pitcher.whip ?? null,
+    ops_vs_lhb: pitcher.ops_vs_lhb ?? null,
+    ops_vs_rhb: pitcher.ops_vs_rhb ?? null,
+    gb_rate: pitcher.gb_rate ?? null,
+    fb_rate: pitcher.fb_rate ?? null,
+    // Workload, for the starter's expected innings (see expectedStarterIP in scoring.js)
+    ip_per_start_season: pitcher.ip_per_start_season ?? null,
+    ip_per_start_recent: pitcher.ip_per_start_recent ?? null,
+    pitches_per_start_recent: pitcher.pitches_per_start_recent ?? null,
+    recent_starts: pitcher.recent_starts ?? 0,
+    last_start_ip: pitcher.last_start_ip ?? null,
+    last_start_pitches: pitcher.last_start_pitches ?? null,
+    // 7 / 14 / 30-day and weighted H/9 from the game log (form.js)
+    form: pitcher.form ?? null
+  };
+}
+
+// Optional input: if the fetch still fails after the client's retries, record the component as missing
+// (its score term stays neutral) instead of passing null off as "no data"
+async function optionalInput(missing, component, fn, fallback = null) {
+  try {
+    return await fn();
+  } catch (e) {
+    missing.push({ component, error: e.message });
+    return fallback;
+  }
+}
+
+// ---------- core per-probable workflow ----------
+// asOf = last day of data to use (day before the game); pointInTime also cuts season splits off at asOf
+// Required inputs (opponent schedule, season stats, H2H) throw; analyzeSlate records the probable as skipped.
+// firstLeg = game 1 of the doubleheader when game is game 2 (its lineup seeds game 2's projection)
+async function analyzeProbable({ game, firstLeg = null, probableSide, season, start7, endDate, asOf, pointInTime = false, h2h = {}, slots = ALL_SLOTS, parks = {}, log = SILENT }) {
+  const pObj = game?.teams?.[probableSide]?.probablePitcher;
+  const keepSlot = (slot) => slots.includes(slot);
+  if (!pObj?.id) return null;
+  const cutoff = pointInTime ? seasonCutoff(season, asOf) : null;
+  const asOfMDY = fmtUSDate(asOf.y, asOf.m, asOf.d);
+
+  const pitcher = {
+    id: pObj.id,
+    name: pObj.fullName,
+    side: probableSide,
+    teamId: game.teams[probableSide].team.id,
+    teamName: game.teams[probableSide].team.name,
+    headshot: headshotUrl(pObj.id)
+  };
+
+  const missing = []; // { component, error } for optional inputs that failed to fetch
+  const start28 = addDaysYMD(asOf, -27);
+  const start28MDY = fmtUSDate(start28.y, start28.m, start28.d);
+  const toNum = (raw) => {
+    const val = typeof raw === 'number' ? raw : typeof raw === 'string' ? Number(raw) : null;
+    return Number.isFinite(val) ? Number(val) : null;
+  };
+
+  // Opponent is the other side
+  const oppSide = probableSide === "home" ? "away" : "home";
+  const opponentTeamId = game.teams[oppSide].team.id;
+  const opponentTeamName = game.teams[oppSide].team.name;
+
+  // Pitcher inputs (season H/9, site H/9, last-28-days H/9, hand, H/9 vs LHB/RHB, game log), the
+  // opponent's last 7 days of games and the target game's boxscore (posted lineups) are
+  // independent, so fetch them together. Point-in-time builds skip the target boxscores (and game 1's):
+  // for a past game they hold the actual lineup, which would leak into a backfill.
+  const [pStat, pitcherSiteH9, h9_28, pitcherHand, pitcherVsBatterSideH9, pitcherLog, bullpen, oppSched, targetBox, firstLegBox] = await Promise.all([
+    optionalInput(missing, "pitcher_h9", () => getPitcherSeasonPitchingStats(pitcher.id, season, cutoff)),
+    optionalInput(missing, "pitcher_h9_site", () => getPitcherHomeAwayHitsPer9(pitcher.id, season, cutoff), { home: null, away: null }),
+    optionalInput(missing, "pitcher_h9_28", () => getPitcherHitsPer9ByDateRange(pitcher.id, start28MDY, asOfMDY)),
+    optionalInput(missing, "pitcher_hand", () => getPitcherHand(pitcher.id)), // "L" or "R"
+    optionalInput(missing, "pitcher_vs_side", () => getPitcherVsBatterHandSplits(pitcher.id, season, cutoff), { vsLHB: null, vsRHB: null, opsVsLHB: null, opsVsRHB: null }),
+    optionalInput(missing, "pitcher_game_log", () => getPitcherGameLog(pitcher.id, season, endDate)),
+    optionalInput(missing, "bullpen", () => getBullpenStats(pitcher.teamId, season, cutoff)),
+    getTeamScheduleRange(opponentTeamId, start7, endDate),
+    pointInTime ? null : optionalInput(missing, "confirmed_lineup", () => getBoxscore(game.gamePk)),
+    pointInTime || !firstLeg ? null : optionalInput(missing, "first_leg_lineup", () => getBoxscore(firstLeg.gamePk, { final: firstLeg?.status?.abstractGameState === "Final" }))
+  ]);
+  pitcher.hitsPer9Inn = toNum(pStat?.hitsPer9Inn);
+  pitcher.hitsPer9Inn_site = toNum(probableSide === 'home' ? pitcherSiteH9.home : pitcherSiteH9.away);
+  pitcher.hitsPer9Inn_last_28_days = toNum(h9_28);
+  pitcher.hand = pitcherHand || null;
+  Object.assign(pitcher, pitcherRateStats(pStat));
+  pitcher.ops_vs_lhb = pitcherVsBatterSideH9.opsVsLHB;
+  pitcher.ops_vs_rhb = pitcherVsBatterSideH9.opsVsRHB;
+  // Workload: season IP per start and the last few starts (innings, pitch counts)
+  const starts = recentStarts(pitcherLog ?? []);
+  const seasonIP = inningsFromIP(pStat?.inningsPitched);
+  const seasonGS = Number(pStat?.gamesStarted ?? 0);
+  pitcher.ip_per_start_season = Number.isFinite(seasonIP) && seasonGS > 0 ? Number((seasonIP / seasonGS).toFixed(2)) : null;
+  const recentIP = starts.map(r => r.ip).filter(Number.isFinite);
+  const recentPitches = starts.map(r => r.pitches).filter(Number.isFinite);
+  pitcher.recent_starts = recentIP.length;
+  pitcher.ip_per_start_recent = recentIP.length ? Number((recentIP.reduce((a, b) => a + b, 0) / recentIP.length).toFixed(2)) : null;
+  pitcher.pitches_per_start_recent = recentPitches.length ? Math.round(recentPitches.reduce((a, b) => a + b, 0) / recentPitches.length) : null;
+  pitcher.last_start_ip = Number.isFinite(starts[0]?.ip) ? Number(starts[0].ip.toFixed(2)) : null;
+  pitcher.last_start_pitches = starts[0]?.pitches ?? null;
+  pitcher.form = pitcherLog ? pitcherForm(pitcherLog, endDate) : null;
+
+  // Postponed and cancelled games in the window never got a lineup
+  const oppGames = (oppSched?.dates ?? []).flatMap(d => d.games ?? [])
+    .filter(g => !["postponed", "cancelled"].includes(gameState(g)));
+
+  // Track lineup slots per player across last 7 days
+  // ordersByPlayer: Map<playerId, { counts: { [slot]: number }, latestSlot: number|null, latestGameDate: string }>
+  const ordersByPlayer = new Map();
+  const candidateBatterIds = new Set();
+  const catcherStarts = new Map(); // playerId -> games started at catcher
+  const boxNames = new Map();      // playerId -> name, for hitters who drop out of the lineup
+
+  // Boxscores in parallel; processed in schedule order so "latest slot" stays chronological
+  const boxes = await Promise.all(oppGames.map(g =>
+    optionalInput(missing, `lineup_boxscore_${g.gamePk}`,
+      () => getBoxscore(g.gamePk, { final: g?.status?.abstractGameState === "Final" }))
+  ));
+
+  for (const [gi, g] of oppGames.entries()) {
+    const gameDate = g.officialDate;
+    const box = boxes[gi];
+    if (!box) continue;
+    const sides = [box?.teams?.home, box?.teams?.away].filter(Boolean);
+    for (const side of sides) {
+      if (!side?.team?.id || side.team.id !== opponentTeamId) continue;
+      const players = side.players ?? {};
+      for (const key of Object.keys(players)) {
+        const pl = players[key];
+        const pid = pl?.person?.id;
+        const bo = battingOrderSlot(pl?.battingOrder);
+        const posCode = pl?.position?.code;
+        if (!pid || !bo || posCode === "P") continue;
+
+        // record this slot occurrence
+        let entry = ordersByPlayer.get(pid);
+        if (!entry) {
+          entry = { counts: {}, latestSlot: null, latestGameDate: null };
+          ordersByPlayer.set(pid, entry);
+        }
+        entry.counts[bo] = (entry.counts[bo] ?? 0) + 1;
+        // update "latest" (game list is chronological in schedule; if unsure, compare dates)
+        if (!entry.latestGameDate || gameDate >= entry.latestGameDate) {
+          entry.latestGameDate = gameDate;
+          entry.latestSlot = bo;
+        }
+        // mark candidate if ever batted in a kept slot
+        if (keepSlot(bo)) candidateBatterIds.add(pid);
+        if (pl.person.fullName) boxNames.set(pid, pl.person.fullName);
+        if (Number(pl.battingOrder) % 100 === 0 && startingPosition(pl) === "2") catcherStarts.set(pid, (catcherStarts.get(pid) ?? 0) + 1);
+      }
+    }
+  }
+
+  // A posted lineup replaces the 7-day guess: its hitters in kept slots are the candidates
+  // and everyone else is out for this game. Game 2 of a doubleheader without one is projected
+  // from game 1's lineup (posted, else the 7-day guess) with game 1's catcher resting.
+  const lineup = confirmedLineup(targetBox, opponentTeamId);
+  const lineupStatus = lineup ? "confirmed" : "projected";
+  let legSlots = lineup;
+  let lineupBasis = lineup ? "posted" : "last_7_days";
+  let rested = [];
+  if (!lineup && firstLeg) {
+    const firstPosted = confirmedLineup(firstLegBox, opponentTeamId);
+    const firstSlots = firstPosted ?? new Map(Array.from(candidateBatterIds).map(pid => {
+      const e = ordersByPlayer.get(pid);
+      return [pid, chooseProjectedOrder(e.counts, e.latestSlot ?? null)];
+    }));
+    const second = secondLegLineup(firstSlots, { catcherStarts, firstCatcher: firstPosted ? lineupCatcher(firstLegBox, opponentTeamId) : null });
+    legSlots = second.slots;
+    lineupBasis = firstPosted ? "game_1_posted" : "game_1_projected";
+    rested = second.rested;
+    log.info(`[Game ${game.gamePk}] ${opponentTeamName} game 2 projected from game 1's ${firstPosted ? "posted" : "projected"} lineup${rested.length ? `; catcher ${rested.join(", ")} rests` : ""}`);
+  }
+  const batterIds = legSlots
+    ? Array.from(legSlots.entries()).filter(([, slot]) => keepSlot(slot)).map(([id]) => id)
+    : Array.from(candidateBatterIds);
+  if (lineup) {
+    const out = Array.from(candidateBatterIds).filter(id => !lineup.has(id));
+    if (out.length) log.info(`[Game ${game.gamePk}] ${opponentTeamName} lineup posted — ${out.length} projected hitter(s) not in it`);
+  }
+
+  const opponentIsHome = game.teams.home.team.id === opponentTeamId;
+  const venue = { id: game.venue?.id ?? null, name: game.venue?.name ?? null };
+  // Hitter inputs, all batched by batter id list:
+  // season home/away OPS, game logs (recent form through asOf), season line, H2H, OPS vs hand, bat side
+  const [siteSplitsMap, gameLogMap, seasonData, vsRows, vsHandMap, batSideMap] = await Promise.all([
+    optionalInput(missing, "ops_site", () => getHomeAwaySplits(batterIds, season, cutoff), new Map()),
+    optionalInput(missing, "hitter_form", () => getHitterGameLogs(batterIds, season, endDate)),
+    getSeasonStats(batterIds, season, cutoff),
+    // Career / last-N-seasons OPS vs this probable pitcher
+    getVsPitcherOPS(batterIds, pitcher.id, season, { ...h2h, cutoff }),
+    optionalInput(missing, "ops_vs_hand", () => getOpsVsPitcherHandFromStatSplits(batterIds, season, cutoff), new Map()),
+    optionalInput(missing, "bat_side", () => getBatSides(batterIds), new Map()) // id -> 'L' | 'R' | 'S'
+  ]);
+
+  // Build projected order per player from collected counts
+  const projections = new Map(); // playerId -> { projectedOrder, orderCounts, orderSampleSize }
+  for (const pid of batterIds) {
+    const entry = ordersByPlayer.get(pid);
+    if (!entry) continue;
+    const projectedOrder = chooseProjectedOrder(entry.counts, entry.latestSlot ?? null);
+    const orderCounts = entry.counts;
+    const orderSampleSize = Object.values(orderCounts).reduce((a,b)=>a+b,0);
+    projections.set(pid, { projectedOrder, orderCounts, orderSampleSize });
+  }
+
+  const seasonWTBMap = new Map();
+  const seasonPAMap = new Map();
+  const seasonLineMap = new Map(); // id -> counting line for event probabilities, season OPS for shrinkage
+  for (const p of seasonData.people ?? []) {
+    const stat = p?.stats?.[0]?.splits?.[0]?.stat ?? {};
+    const pid = Number(p.id);
+    seasonWTBMap.set(pid, computeWTB(stat));
+    seasonPAMap.set(pid, plateAppearances(stat));
+    seasonLineMap.set(pid, {
+      pa: plateAppearances(stat),
+      h: stat.hits ?? 0,
+      doubles: stat.doubles ?? 0,
+      triples: stat.triples ?? 0,
+      hr: stat.homeRuns ?? 0,
+      ops: typeof stat.ops === "number" ? stat.ops : typeof stat.ops === "string" ? Number(stat.ops) : null
+    });
+  }
+
+  const missingInputs = Array.from(new Set(missing.map(m => m.component.replace(/_\d+$/, ""))));
+
+  // Final rows (apply your AB≥5 gate if desired)
+  const hitters = vsRows
+    .map(r => {
+      const proj = projections.get(r.id) || { projectedOrder: null, orderCounts: {}, orderSampleSize: 0 };
+      const battingOrder = legSlots ? legSlots.get(r.id) ?? null : proj.projectedOrder;
+      const wtb = seasonWTBMap.get(r.id) ?? null;
+      const season_pa = seasonPAMap.get(r.id) ?? null;
+      const siteSplits = siteSplitsMap.get(r.id);
+      const opsHomeAwayForGame = pickHomeAwayOPS(siteSplits, opponentIsHome);
+      const paHomeAwayForGame = pickHomeAwayPA(siteSplits, opponentIsHome);
+      const handSplits = vsHandMap.get(r.id);
+      const opsVsPitcherHand = pickOpsVsHand(handSplits, pitcherHand);
+      const paVsPitcherHand = pickPA_VsHand(handSplits, pitcherHand);
+      // (removed) ops_day_night computation
+      // 7 / 14 / 30-day and weighted OPS from the game log; null when the logs failed to fetch
+      const form = gameLogMap ? hitterForm(gameLogMap.get(r.id) ?? [], endDate) : null;
+      const opsLast7 = form?.["7d"].ops ?? null;
+      const paLast7 = form?.["7d"].pa ?? null;
+
+      // Decide batter-side for this matchup
+      const batSide = batSideMap.get(r.id) || null; // 'L' | 'R' | 'S' | null
+      let pitcherH9VsBatterSide = null;
+      if (batSide === 'L') pitcherH9VsBatterSide = pitcherVsBatterSideH9.vsLHB ?? null;
+      else if (batSide === 'R') pitcherH9VsBatterSide = pitcherVsBatterSideH9.vsRHB ?? null;
+      else if (batSide === 'S') {
+        // Switch hitters bat opposite the pitcher's hand
+        if (pitcherHand === 'R') pitcherH9VsBatterSide = pitcherVsBatterSideH9.vsLHB ?? null;
+        else if (pitcherHand === 'L') pitcherH9VsBatterSide = pitcherVsBatterSideH9.vsRHB ?? null;
+      }
+      const parkFactor = parkFactorFor(parks, venue.id, { batSide, pitcherHand });
+      const hitterHand = effectiveBatSide(batSide, pitcherHand);
+      const pitcherOpsVsSide = hitterHand === 'L' ? pitcher.ops_vs_lhb ?? null : hitterHand === 'R' ? pitcher.ops_vs_rhb ?? null : null;
+
+      return {
+        id: r.id,
+        name: r.name,
+        headshot: headshotUrl(r.id),
+        probable_pitcher_splits: {
+          ...buildProbablePitcherSplits(pitcher),
+          hitsPer9Inn_vs_batter_side: Number.isFinite(pitcherH9VsBatterSide) ? Number(pitcherH9VsBatterSide) : null,
+          ops_vs_batter_side: pitcherOpsVsSide,
+          hand: pitcherHand || null
+        },
+        projectedBattingOrder: battingOrder,               // 1..9: posted slot, else mode of last 7 days (tie → latest)
+        lineupStatus,                                       // "confirmed" | "projected"
+        lineupBasis,                                        // "posted" | "last_7_days" | "game_1_posted" | "game_1_projected"
+        projected_pa: null,                                 // set per profile when scored
+        ops_vs_pitcher: {
+          pa: (Number.isFinite(r.pa_vs_pitcher) ? r.pa_vs_pitcher : null),
+          ab: r.ab_vs_pitcher,
+          ops: r.ops_vs_pitcher,
+          ab_weighted: r.ab_vs_pitcher_weighted,
+          span: h2hSpanLabel(h2h),
+          seasons: r.seasons_vs_pitcher
+        },
+        wtb_percent: wtb !== null ? Number(wtb.toFixed(3)) : null,
+        season_pa: Number.isFinite(season_pa) ? Number(season_pa) : null,
+        season_line: seasonLineMap.get(r.id) ?? null,
+        ops_site: { pa: paHomeAwayForGame ?? null, ops: opsHomeAwayForGame },
+        ops_vs_pitcher_hand: { pa: paVsPitcherHand ?? null, ops: opsVsPitcherHand },
+        ops_last_7_days: { pa: paLast7 ?? null, ops: opsLast7 },
+        form,                                               // { 7d, 14d, 30d, ewma, trend }; profile.form picks the scored one
+        shrunk: null,                                       // splits shrunk toward season / league, per profile
+        site: opponentIsHome ? 'Home' : 'Away',
+        venue,
+        park_factor: parkFactor,                            // { hits, xbh, hr, hand, known }; 100 = average
+        bullpen,                                            // pitching team's relievers: { teamId, hitsPer9Inn, ops }
+        pa_split: null,                                     // { starter, bullpen, starter_share, starter_ip } per profile
+        missing_inputs: missingInputs,                      // inputs that failed to fetch (scored neutral)
+        // scored per profile in scoreSlate (scoreRow)
+        score: null,
+        h2h_share: null,
+        score_breakdown: null,
+        probabilities: null                                 // { hit, tb2, hr } per profile
+      };
+    })
+    .filter(r => ((r.ops_vs_pitcher?.ab ?? 0) >= 1) && keepSlot(r.projectedBattingOrder));       // filter to kept slots (--slots)
+
+  // This game's opposing lineup, kept slots only and before the H2H cut: posted slots once out,
+  // else the projection (for game 2 of a doubleheader, game 1's lineup less the resting catcher)
+  const legLineup = vsRows
+    .map(r => ({ id: r.id, name: r.name, slot: legSlots ? legSlots.get(r.id) ?? null : projections.get(r.id)?.projectedOrder ?? null }))
+    .filter(r => keepSlot(r.slot))
+    .sort((a, b) => a.slot - b.slot || String(a.name).localeCompare(String(b.name)));
+
+  const leg = gameLeg(game);
+  return {
+    gamePk: game.gamePk,
+    gameDate: game.officialDate,
+    gameTime: leg.gameTime,
+    gameNumber: leg.gameNumber,
+    gameLabel: leg.label,
+    venue,
+    homeTeam: { id: game.teams.home.team.id, name: game.teams.home.team.name },
+    awayTeam: { id: game.teams.away.team.id, name: game.teams.away.team.name },
+    probablePitcher: pitcher,
+    opponentTeam: { id: opponentTeamId, name: opponentTeamName },
+    window: { startDate: start7, endDate },
+    lineupStatus,
+    lineupBasis,
+    lineupRested: rested.map(id => ({ id, name: vsRows.find(r => r.id === id)?.name ?? boxNames.get(id) ?? null })),
+    lineup: legLineup,
+    qualifiedBattersCount: batterIds.length,
+    fetchErrors: missing,
+    hitters
+  };
+}
+
+// One summary per scheduled game: state, doubleheader leg, and both sides with their probable
+// and the opposing lineup for that game. Hitter rows link back by gamePk and probable_pitcher_splits.id;
+// a side whose probable was skipped (or not announced) keeps the schedule's name with analyzed: false
+// and the skip reason from meta.skippedGames.
+function gameSummaries(games, perProbable, skippedGames = []) {
+  const byPitcher = new Map(perProbable.map(e => [`${e.gamePk}:${e.probablePitcher.id}`, e]));
+  const skipBySide = new Map(skippedGames.map(s => [`${s.gamePk}:${s.side}`, s]));
+  return games.map(game => {
+    const side = (s) => {
+      const t = game?.teams?.[s];
+      const p = t?.probablePitcher;
+      const entry = p?.id ? byPitcher.get(`${game.gamePk}:${p.id}`) : null;
+      return {
+        team: { id: t?.team?.id ?? null, name: t?.team?.name ?? null },
+        probablePitcher: entry
+          ? { ...buildProbablePitcherSplits(entry.probablePitcher), hand: entry.probablePitcher.hand ?? null }
+          : p?.id ? { id: p.id, name: p.fullName ?? null } : null,
+        analyzed: Boolean(entry),
+        skipReason: skipBySide.get(`${game.gamePk}:${s}`)?.reason ?? null,
+        // Lineup of the team facing this side's probable
+        opponentLineupStatus: entry?.lineupStatus ?? null,
+        opponentLineupBasis: entry?.lineupBasis ?? null,
+        opponentLineupRested: entry?.lineupRested ?? [],
+        opponentHitterCount: entry?.hitters?.length ?? 0,
+        opponentLineup: entry?.lineup ?? []
+      };
+    };
+    const leg = gameLeg(game);
+    return {
+      gamePk: game.gamePk,
+      gameDate: game.officialDate ?? null,
+      gameTime: leg.gameTime,
+      startTimeTBD: leg.startTimeTBD,
+      gameNumber: leg.gameNumber,
+      doubleheader: leg.doubleheader,
+      label: leg.label,
+      status: game?.status?.detailedState ?? null,
+      state: gameState(game),
+      venue: { id: game.venue?.id ?? null, name: game.venue?.name ?? null },
+      home: side("home"),
+      away: side("away")
+    };
+  });
+}
+
+// Log all hitters considered for a game and their scores
+function logProbable(entry, log) {
+  try {
+    const pitcherName = entry.probablePitcher?.name || 'Unknown Pitcher';
+    const oppName = entry.opponentTeam?.name || 'Opponent';
+    log.info(`[Game ${entry.gamePk}] ${oppName} hitters vs ${pitcherName} — ${entry.hitters.length} hitters`);
+    entry.hitters.forEach(h => {
+      const s = Number.isFinite(h.score) ? h.score.toFixed(3) : 'n/a';
+      const p = Number.isFinite(h.probabilities?.hit) ? ` P(hit)=${h.probabilities.hit.toFixed(3)}` : '';
+      const c = h.lineupStatus === 'confirmed' ? ' confirmed' : '';
+      log.info(`  - ${h.name} (slot ${h.projectedBattingOrder ?? '?'}${c}) score=${s}${p}`);
+    });
+  } catch {}
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+const fmtYMD = ({ y, m, d }) => `${y}-${pad(m)}-${pad(d)}`;
+
+// Target date for a build:
+// - date "YYYY-MM-DD" → that day, built point-in-time (every window and season split ends the day before)
+// - no date → Pacific Time rule: before 7:00 PM PT today's games, at/after 7:00 PM PT tomorrow's
+function resolveTarget(date = null, now = new Date()) {
+  if (date) {
+    const [y, m, d] = String(date).split("-").map(Number);
+    if (!Number.isInteger(y) || !Number.isInteger(m) || !Number.isInteger(d)) {
+      throw new Error(`--date expects YYYY-MM-DD, got "${date}"`);
+    }
+    return { target: { y, m, d }, rule: "explicit_date", pacificTime: null, pointInTime: true };
+  }
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Los_Angeles',
+    hour12: false,
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).formatToParts(now);
+  const get = (t) => Number(parts.find(p => p.type === t)?.value);
+  const today = { y: get('year'), m: get('month'), d: get('day') };
+  const h = get('hour');
+  return {
+    target: h < 19 ? today : addDaysYMD(today, 1),
+    rule: h < 19 ? "today_before_7pm_pt" : "tomorrow_after_7pm_pt",
+    pacificTime: `${fmtYMD(today)} ${pad(h % 24)}:${pad(get('minute'))} PT`,
+    pointInTime: false
+  };
+}
+
+// Fetch and assemble every probable's matchup inputs for a date (unscored).
+// opts: h2h { seasons, decay }, slots (list or "1-5" spec), states (game states to score, list or
+// "scheduled,live" spec; default: scheduled for live builds, as played for point-in-time ones),
+// parks (venue table, default config/park-factors.json), now (clock for the live target rule), log.
+// → { date, target, asOf, pointInTime, slots, states, games, perProbable, skippedGames, fetch, builtAt }
+async function analyzeSlate(date = null, { h2h = {}, slots = ALL_SLOTS, states = null, parks = null, now = new Date(), log = SILENT } = {}) {
+  const { target, rule, pacificTime, pointInTime } = resolveTarget(date, now);
+  const h2hOpts = { seasons: h2h.seasons ?? H2H_SEASONS, decay: h2h.decay ?? H2H_RECENCY_DECAY };
+  const keptSlots = Array.isArray(slots) ? slots : parseSlots(slots);
+  const keptStates = (Array.isArray(states) ? states : parseStates(states))
+    ?? (pointInTime ? DEFAULT_BACKFILL_STATES : DEFAULT_LIVE_STATES);
+  const parkTable = parks ?? loadParkFactors();
+
+  // Lineup window is the 7 days before the target date; no data from the target date itself
+  const asOf = addDaysYMD(target, -1);
+  const dateStr = fmtYMD(target);
+  const asOfStr = fmtYMD(asOf);
+  const start7 = fmtYMD(addDaysYMD(target, -7));
+  const season = target.y;
+  const httpBefore = httpStats();
+
+  const sched = await getScheduleByDate(dateStr);
+  const games = (sched?.dates ?? []).flatMap(d => d.games ?? []);
+  // Postponed, suspended, cancelled, and (for live builds) started or finished games aren't scored
+  const kept = games.filter(g => keptStates.includes(gameState(g)));
+  const skipped = []; // probables whose required inputs could not be fetched
+
+  // Every probable runs concurrently; the fetch client bounds how many requests are in flight
+  const jobs = kept.flatMap(game => ["home", "away"]
+    .filter(side => game?.teams?.[side]?.probablePitcher?.id)
+    .map(side => analyzeProbable({ game, firstLeg: firstLegOf(game, games), probableSide: side, season, start7, endDate: asOfStr, asOf, pointInTime, h2h: h2hOpts, slots: keptSlots, parks: parkTable, log })
+      .catch(e => {
+        const pitcherName = game.teams[side].probablePitcher.fullName ?? null;
+        log.warn(`[Game ${game.gamePk}] skipped ${side} probable ${pitcherName ?? ""}: ${e.message}`);
+        skipped.push({ gamePk: game.gamePk, side, pitcher: pitcherName, error: e.message });
+        return null;
+      })));
+  const perProbable = (await Promise.all(jobs)).filter(Boolean);
+  perProbable
+    .filter(entry => entry.fetchErrors.length)
+    .forEach(entry => log.warn(`[Game ${entry.gamePk}] ${entry.probablePitcher.name}: missing ${entry.fetchErrors.map(f => f.component).join(", ")}`));
+
+  // Requests made for this slate (the client's counters are process-wide)
+  const http = httpStats();
+  const fetchSummary = {
+    requests: http.network - httpBefore.network,
+    cacheHits: http.cacheHits - httpBefore.cacheHits,
+    retries: http.retries - httpBefore.retries,
+    failures: http.failures.slice(httpBefore.failures.length)
+  };
+  // Game sides without an analyzed probable: game left out by state, probable not announced yet,
+  // or required inputs failed
+  const skippedGames = games.filter(g => !kept.includes(g)).flatMap(game => ["home", "away"]
+    .map(side => ({
+      gamePk: game.gamePk,
+      side,
+      pitcher: game?.teams?.[side]?.probablePitcher?.fullName ?? null,
+      reason: SKIP_REASONS[gameState(game)],
+      detail: skipDetail(game)
+    })))
+    .concat(kept.flatMap(game => ["home", "away"]
+      .filter(side => !game?.teams?.[side]?.probablePitcher?.id)
+      .map(side => ({ gamePk: game.gamePk, side, pitcher: null, reason: "no_probable", detail: null }))))
+    .concat(skipped.map(s => ({ gamePk: s.gamePk, side: s.side, pitcher: s.pitcher, reason: "inputs_unavailable", detail: s.error })))
+    .sort((a, b) => a.gamePk - b.gamePk || a.side.localeCompare(b.side));
+
+  return {
+    date: dateStr,
+    target: { date: dateStr, rule, pacificTime },
+    asOf: asOfStr,
+    pointInTime,
+    slots: keptSlots,
+    states: keptStates,
+    games,
+    gamesScored: kept.length,
+    perProbable,
+    skippedGames,
+    fetch: fetchSummary,
+    builtAt: new Date().toISOString()
+  };
+}
+
+// Score an analyzed slate under one resolved profile → the daily object (api/YYYY-MM-DD.json).
+// Pure: the same analysis and profile always give the same rows.
+function scoreSlate(analysis, profile, { log = SILENT } = {}) {
+  const scored = analysis.perProbable.map(entry => ({
+    ...entry,
+    hitters: entry.hitters
+      .map(h => withProbabilities(scoreRow(h, profile), profile))
+      .sort((a, b) => ((b.score ?? -1) - (a.score ?? -1)))
+  }));
+  scored.forEach(entry => logProbable(entry, log));
+
+  // Combine hitters across all games, filter by season PA, and sort by highest wTB%
+  const allHitters = scored.flatMap(entry => (entry.hitters ?? []).map(h => ({
+    ...h,
+    gamePk: entry.gamePk,
+    gameDate: entry.gameDate,
+    gameTime: entry.gameTime,
+    gameNumber: entry.gameNumber,
+    gameLabel: entry.gameLabel,
+    opponentTeamName: entry.opponentTeam?.name ?? null,
+    probablePitcherName: entry.probablePitcher?.name ?? null
+  })));
+  const sortedHitters = allHitters
+    .filter(h => (h.season_pa ?? 0) >= 85)
+    .sort((a, b) => {
+      const av = Number.isFinite(a.wtb_percent) ? a.wtb_percent : -1;
+      const bv = Number.isFinite(b.wtb_percent) ? b.wtb_percent : -1;
+      return bv - av;
+    });
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    date: analysis.date,
+    meta: {
+      builtAt: analysis.builtAt,
+      model: { profile: profile.name, hash: profile.hash },
+      target: analysis.target,
+      asOf: analysis.asOf,
+      pointInTime: analysis.pointInTime,
+      slots: analysis.slots,
+      gameStates: analysis.states,
+      // Recency windows this profile scores (hitter OPS, pitcher H/9); every window is in each row's form
+      form: { hitter: profile.form?.hitter ?? "7d", pitcher: profile.form?.pitcher ?? "28d" },
+      fetch: analysis.fetch,
+      skippedGames: analysis.skippedGames
+    },
+    gamesAnalyzed: analysis.gamesScored,
+    hitterCount: sortedHitters.length,
+    games: gameSummaries(analysis.games, analysis.perProbable, analysis.skippedGames),
+    hitters: sortedHitters
+  };
+}
+
+// Daily object for one date (null = live target rule) without writing anything.
+// opts.profile is a profile name or an already-resolved profile (default "default"),
+// opts.profilesFile the profiles file for names; other opts as analyzeSlate.
+async function buildSlate(date = null, opts = {}) {
+  const { profile = DEFAULT_PROFILE, profilesFile = DEFAULT_PROFILES_FILE, ...rest } = opts;
+  const resolved = typeof profile === "string" ? resolveProfile(profile, profilesFile) : profile;
+  const analysis = await analyzeSlate(date, rest);
+  return scoreSlate(analysis, resolved, { log: rest.log });
+}
+
+export {
+  resolveTarget,
+  analyzeProbable,
+  buildProbablePitcherSplits,
+  gameSummaries,
+  analyzeSlate,
+  scoreSlate,
+  buildSlate
+};
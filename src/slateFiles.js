@@ -0,0 +1,30 @@
+// Reading the saved daily files: api/ for the default profile, api/profiles/<name>/ for the others.
+
+import fs from "fs";
+import path from "path";
+import { DATE_RE, DATE_FILE, hittersOf } from "../shared/dailyFile.js";
+import { DEFAULT_PROFILE } from "./profiles.js";
+
+// null when the file is missing or isn't JSON
+function readJSON(p) {
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Output dir for a profile name: dir itself for the default, dir/profiles/<name>/ otherwise
+function profileDir(dir = "api", profile = null) {
+  if (!profile || profile === DEFAULT_PROFILE) return dir;
+  if (!/^[\w-]+$/.test(profile)) throw new Error(`bad profile name "${profile}"`);
+  return path.join(dir, "profiles", profile);
+}
+
+// Dated files in a dir, oldest first
+function builtDates(dir) {
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  return files.map(f => f.match(DATE_FILE)?.[1]).filter(Boolean).sort();
+}
+
+export { DATE_RE, DATE_FILE, hittersOf, readJSON, profileDir, builtDates };
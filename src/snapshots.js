@@ -0,0 +1,56 @@
+// Every build run is kept as a snapshot: api/snapshots/YYYY-MM-DD/<builtAt>.json, plus an
+// index.json per date listing them oldest first. today.json and the dated file only hold the
+// latest run; the snapshots are what diff compares. Only the last `keep` runs per date are kept.
+
+import fs from "fs";
+import path from "path";
+import { readJSON } from "./slateFiles.js";
+
+const DEFAULT_KEEP_SNAPSHOTS = 8;
+
+function snapshotDir(outDir, dateStr) {
+  return path.join(outDir, "snapshots", dateStr);
+}
+
+// 2025-08-30T13:00:05.123Z → 2025-08-30T13-00-05-123Z (no colons, for Windows checkouts)
+function snapshotName(builtAt) {
+  return `${String(builtAt).replace(/[:.]/g, "-")}.json`;
+}
+
+// → [{ file, builtAt, rule, games, hitters }] oldest first
+function listSnapshots(outDir, dateStr) {
+  return readJSON(path.join(snapshotDir(outDir, dateStr), "index.json"))?.snapshots ?? [];
+}
+
+// Writes this run's snapshot and deletes the oldest ones past `keep`
+function writeSnapshot(outDir, daily, { keep = DEFAULT_KEEP_SNAPSHOTS } = {}) {
+  const dir = snapshotDir(outDir, daily.date);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = snapshotName(daily.meta.builtAt);
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(daily, null, 2));
+  const all = listSnapshots(outDir, daily.date)
+    .filter(s => s.file !== file)
+    .concat({
+      file,
+      builtAt: daily.meta.builtAt,
+      rule: daily.meta.target?.rule ?? null,
+      games: daily.gamesAnalyzed ?? null,
+      hitters: daily.hitterCount ?? null
+    })
+    .sort((a, b) => String(a.builtAt).localeCompare(String(b.builtAt)));
+  const snapshots = all.slice(-Math.max(1, keep));
+  all.slice(0, all.length - snapshots.length).forEach(s => fs.rmSync(path.join(dir, s.file), { force: true }));
+  fs.writeFileSync(path.join(dir, "index.json"), JSON.stringify({ date: daily.date, snapshots }, null, 2));
+  return path.join(dir, file);
+}
+
+// Snapshot by file name, or by index from the end ("-1" = latest, "-2" = the run before)
+function readSnapshot(outDir, dateStr, ref) {
+  const list = listSnapshots(outDir, dateStr);
+  const n = Number(ref);
+  const entry = Number.isInteger(n) && n < 0 ? list[list.length + n] : list.find(s => s.file === ref || s.file === `${ref}.json`);
+  if (!entry) throw new Error(`No snapshot "${ref}" for ${dateStr} (${list.length} saved)`);
+  return readJSON(path.join(snapshotDir(outDir, dateStr), entry.file));
+}
+
+export { DEFAULT_KEEP_SNAPSHOTS, snapshotDir, snapshotName, listSnapshots, writeSnapshot, readSnapshot };
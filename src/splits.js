@@ -0,0 +1,421 @@
+// Split extractors: fetch a stat hydrate for a batch of hitters (or one pitcher) and reduce the
+// API's splits to plain numbers and maps, plus the pure pickers and stat-line helpers that go with them.
+// cutoff = seasonCutoff(...) bounds season splits to a point in time; null reads the season as it stands.
+
+import { fetchJSON } from "./http.js";
+import { BASE, cutoffParams } from "./statsClient.js";
+
+
+// H2H history window: number of seasons to include (null = full career)
+// and per-season recency decay (1 = every season counts the same)
+const H2H_SEASONS = null;
+const H2H_RECENCY_DECAY = 1;
+
+// Counting stats needed to rebuild OPS from summed (or weighted) vsPlayer lines
+function h2hCounts(stat) {
+  const h = stat.hits ?? 0;
+  const d = stat.doubles ?? 0;
+  const t = stat.triples ?? 0;
+  const hr = stat.homeRuns ?? 0;
+  return {
+    pa: plateAppearances(stat),
+    ab: stat.atBats ?? 0,
+    h, hr,
+    bb: stat.baseOnBalls ?? 0,
+    hbp: stat.hitByPitch ?? 0,
+    sf: stat.sacFlies ?? 0,
+    tb: typeof stat.totalBases === "number" ? stat.totalBases : h + d + 2 * t + 3 * hr
+  };
+}
+function opsFromCounts(c) {
+  const obpDen = c.ab + c.bb + c.hbp + c.sf;
+  if (!(obpDen > 0)) return null;
+  const obp = (c.h + c.bb + c.hbp) / obpDen;
+  const slg = c.ab > 0 ? c.tb / c.ab : 0;
+  return Number((obp + slg).toFixed(3));
+}
+
+function h2hSpanLabel({ seasons = H2H_SEASONS, decay = H2H_RECENCY_DECAY } = {}) {
+  const span = Number.isFinite(seasons) && seasons > 0 ? `last ${seasons} seasons` : "career";
+  return Number.isFinite(decay) && decay > 0 && decay !== 1 ? `${span}, decay ${decay}` : span;
+}
+
+// Career (or last-N-seasons) head-to-head vs a pitcher.
+// Without a season param the vsPlayer hydrate returns one split per season (per opposing team),
+// which we sum per season and then combine with an optional recency decay:
+// weight = decay^(season - splitSeason), so decay=1 is a plain career total.
+// With a cutoff, the current season's line is re-fetched bounded to the cutoff dates.
+async function getVsPitcherOPS(batterIds, pitcherId, season, { seasons = H2H_SEASONS, decay = H2H_RECENCY_DECAY, cutoff = null } = {}) {
+  if (!batterIds.length) return [];
+  const hydrate = `stats(group=[hitting],type=[vsPlayer],opposingPlayerId=${pitcherId},sportId=1,gameType=R)`;
+  const qs = new URLSearchParams({ personIds: batterIds.join(","), hydrate });
+  const url = `${BASE}/people?${qs.toString()}`;
+  const data = await fetchJSON(url);
+  const firstSeason = Number.isFinite(seasons) && seasons > 0 ? season - seasons + 1 : -Infinity;
+
+  let currentSeasonById = null; // id -> counts through the cutoff
+  if (cutoff) {
+    currentSeasonById = new Map();
+    const hydrateCur = `stats(group=[hitting],type=[vsPlayer],opposingPlayerId=${pitcherId},sportId=1,gameType=R,season=${season}${cutoffParams(cutoff)})`;
+    const qsCur = new URLSearchParams({ personIds: batterIds.join(","), hydrate: hydrateCur });
+    const cur = await fetchJSON(`${BASE}/people?${qsCur.toString()}`);
+    for (const p of cur.people ?? []) {
+      const stats = p?.stats ?? [];
+      const splits = (stats.find(s => s?.type?.displayName === "vsPlayer") ?? stats[0])?.splits ?? [];
+      if (!splits.length) continue;
+      const c = splits.map(sp => h2hCounts(sp?.stat ?? {}))
+        .reduce((a, b) => Object.fromEntries(Object.keys(a).map(k => [k, a[k] + b[k]])));
+      currentSeasonById.set(Number(p.id), c);
+    }
+  }
+
+  const rows = [];
+  for (const p of data.people ?? []) {
+    const stats = p?.stats ?? [];
+    const bySeasonType = stats.find(s => s?.type?.displayName === "vsPlayer") ?? stats[0];
+    const bySeason = new Map(); // season -> counts
+    for (const s of bySeasonType?.splits ?? []) {
+      const yr = Number(s?.season);
+      if (!Number.isFinite(yr) || yr > season || yr < firstSeason) continue;
+      const c = h2hCounts(s?.stat ?? {});
+      const prev = bySeason.get(yr);
+      bySeason.set(yr, prev ? Object.fromEntries(Object.keys(c).map(k => [k, prev[k] + c[k]])) : c);
+    }
+    if (currentSeasonById) {
+      bySeason.delete(season);
+      const cur = currentSeasonById.get(Number(p.id));
+      if (cur && cur.pa > 0) bySeason.set(season, cur);
+    }
+
+    const total = { pa: 0, ab: 0, h: 0, hr: 0, bb: 0, hbp: 0, sf: 0, tb: 0 };
+    const weighted = { ...total };
+    for (const [yr, c] of bySeason) {
+      const w = Math.pow(Number.isFinite(decay) && decay > 0 ? decay : 1, season - yr);
+      for (const k of Object.keys(total)) {
+        total[k] += c[k];
+        weighted[k] += c[k] * w;
+      }
+    }
+    const seasonRows = Array.from(bySeason.entries())
+      .sort((a, b) => b[0] - a[0])
+      .map(([yr, c]) => ({ season: yr, pa: c.pa, ab: c.ab, h: c.h, hr: c.hr, ops: opsFromCounts(c) }));
+
+    rows.push({
+      id: Number(p.id),
+      name: p.fullName,
+      ops_vs_pitcher: opsFromCounts(weighted),
+      ab_vs_pitcher: bySeason.size ? total.ab : null,
+      ab_vs_pitcher_weighted: bySeason.size ? Number(weighted.ab.toFixed(1)) : null,
+      pa_vs_pitcher: bySeason.size ? total.pa : null,
+      seasons_vs_pitcher: seasonRows
+    });
+  }
+  return rows;
+}
+
+// Fetch a single probable pitcher's season pitching stat object
+async function getPitcherSeasonPitchingStats(pitcherId, season, cutoff = null) {
+  if (!pitcherId) return null;
+  const hydrate = `stats(group=[pitching],type=[${cutoff ? "byDateRange" : "season"}],sportId=1,gameType=R,season=${season}${cutoffParams(cutoff)})`;
+  const url = `${BASE}/people?personIds=${pitcherId}&hydrate=${encodeURIComponent(hydrate)}`;
+  const data = await fetchJSON(url);
+  const person = (data?.people ?? [])[0];
+  const stat = person?.stats?.[0]?.splits?.[0]?.stat ?? null;
+  return stat || null;
+}
+
+async function getOpsVsPitcherHandFromStatSplits(batterIds, season, cutoff = null) {
+  const map = new Map();
+  if (!batterIds.length) return map;
+
+  const hydrate = `stats(group=[hitting],type=[statSplits],sportId=1,gameType=R,season=${season},sitCodes=[vl,vr]${cutoffParams(cutoff)})`;
+  const qs = new URLSearchParams({ personIds: batterIds.join(","), hydrate });
+  const url = `${BASE}/people?${qs.toString()}`;
+  const data = await fetchJSON(url);
+
+  for (const p of data.people ?? []) {
+    let vsLHP = null, vsRHP = null, vsLHP_PA = null, vsRHP_PA = null;
+    const splits = p?.stats?.[0]?.splits ?? [];
+    for (const s of splits) {
+      const code = s?.split?.code?.toLowerCase?.(); // "vl" / "vr" / others
+      const rawOps = s?.stat?.ops;
+      const ops = typeof rawOps === "number" ? rawOps
+          : typeof rawOps === "string" ? Number(rawOps) : null;
+      const pa = plateAppearances(s?.stat ?? {});
+
+      if (code === "vl") { vsLHP = ops; vsLHP_PA = Number.isFinite(pa) ? pa : null; }
+      else if (code === "vr") { vsRHP = ops; vsRHP_PA = Number.isFinite(pa) ? pa : null; }
+    }
+    map.set(Number(p.id), { vsLHP, vsRHP, vsLHP_PA, vsRHP_PA });
+  }
+  return map;
+}
+function pickOpsVsHand(entry, pitcherHand) {
+  if (!entry || !pitcherHand) return null;
+  return pitcherHand === "L" ? (entry.vsLHP ?? null) : (entry.vsRHP ?? null);
+}
+function pickPA_VsHand(entry, pitcherHand) {
+  if (!entry || !pitcherHand) return null;
+  return pitcherHand === "L" ? (entry.vsLHP_PA ?? null) : (entry.vsRHP_PA ?? null);
+}
+
+// K%, BB% (per batter faced), HR/9, WHIP and ground/fly share of batted-ball outs
+// from a season pitching stat object
+function pitcherRateStats(stat) {
+  const num = (raw) => {
+    const val = typeof raw === 'number' ? raw : typeof raw === 'string' ? Number(raw) : null;
+    return Number.isFinite(val) ? Number(val) : null;
+  };
+  const r3 = (n) => (Number.isFinite(n) ? Number(n.toFixed(3)) : null);
+  const bf = num(stat?.battersFaced);
+  const go = num(stat?.groundOuts), ao = num(stat?.airOuts);
+  const batted = (go ?? 0) + (ao ?? 0);
+  return {
+    k_pct: bf > 0 ? r3((num(stat.strikeOuts) ?? 0) / bf) : null,
+    bb_pct: bf > 0 ? r3((num(stat.baseOnBalls) ?? 0) / bf) : null,
+    hr_per_9: num(stat?.homeRunsPer9),
+    whip: num(stat?.whip),
+    gb_rate: batted > 0 ? r3((go ?? 0) / batted) : null,
+    fb_rate: batted > 0 ? r3((ao ?? 0) / batted) : null
+  };
+}
+
+// Innings pitched in outs notation: "150.1" = 150⅓
+function inningsFromIP(ip) {
+  const n = typeof ip === 'number' ? ip : typeof ip === 'string' ? Number(ip) : NaN;
+  if (!Number.isFinite(n)) return null;
+  const whole = Math.trunc(n);
+  return whole + Math.round((n - whole) * 10) / 3;
+}
+
+// Pitcher's season game log on or before asOf (YYYY-MM-DD), newest first:
+// [{ date, started, ip, h, pitches }] for every appearance
+async function getPitcherGameLog(pitcherId, season, asOfStr) {
+  if (!pitcherId) return [];
+  const hydrate = `stats(group=[pitching],type=[gameLog],sportId=1,gameType=R,season=${season})`;
+  const url = `${BASE}/people?personIds=${pitcherId}&hydrate=${encodeURIComponent(hydrate)}`;
+  const data = await fetchJSON(url);
+  const splits = data?.people?.[0]?.stats?.[0]?.splits ?? [];
+  return splits
+    .filter(s => typeof s?.date === 'string' && s.date <= asOfStr)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map(s => ({
+      date: s.date,
+      started: (s.stat?.gamesStarted ?? 0) > 0,
+      ip: inningsFromIP(s.stat?.inningsPitched),
+      h: s.stat?.hits ?? 0,
+      pitches: s.stat?.numberOfPitches ?? null
+    }));
+}
+
+// Last N starts from a pitcher game log (getPitcherGameLog): innings and pitches
+function recentStarts(gameLog, n = 5) {
+  return gameLog
+    .filter(g => g.started)
+    .slice(0, n)
+    .map(g => ({ date: g.date, ip: g.ip, pitches: g.pitches }));
+}
+
+// Hitters' season game logs on or before asOf (YYYY-MM-DD), batched:
+// id -> [{ date, pa, ab, h, hr, bb, hbp, sf, tb }] newest first (doubleheaders give two entries)
+async function getHitterGameLogs(batterIds, season, asOfStr) {
+  const map = new Map();
+  if (!batterIds?.length) return map;
+  const hydrate = `stats(group=[hitting],type=[gameLog],sportId=1,gameType=R,season=${season})`;
+  const url = `${BASE}/people?personIds=${batterIds.join(",")}&hydrate=${encodeURIComponent(hydrate)}`;
+  const data = await fetchJSON(url);
+  for (const p of data.people ?? []) {
+    const games = (p?.stats?.[0]?.splits ?? [])
+      .filter(s => typeof s?.date === 'string' && s.date <= asOfStr)
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .map(s => ({ date: s.date, ...h2hCounts(s.stat ?? {}) }));
+    map.set(Number(p.id), games);
+  }
+  return map;
+}
+
+// Pitching team's bullpen: relief H/9 and OPS allowed (sitCode rp). The team vl/vr splits cover
+// starters too and there's no reliever-by-batter-hand split, so the bullpen line isn't by hand.
+async function getBullpenStats(teamId, season, cutoff = null) {
+  if (!teamId) return null;
+  const qs = new URLSearchParams({ stats: "statSplits", group: "pitching", gameType: "R", season: String(season), sitCodes: "rp" });
+  if (cutoff) {
+    qs.set("startDate", cutoff.startMDY);
+    qs.set("endDate", cutoff.endMDY);
+  }
+  const data = await fetchJSON(`${BASE}/teams/${teamId}/stats?${qs.toString()}`);
+  const num = (raw) => {
+    const val = typeof raw === 'number' ? raw : typeof raw === 'string' ? Number(raw) : null;
+    return Number.isFinite(val) ? Number(val) : null;
+  };
+  const rp = (data?.stats?.[0]?.splits ?? []).find(s => s?.split?.code?.toLowerCase?.() === 'rp')?.stat;
+  return { teamId, hitsPer9Inn: num(rp?.hitsPer9Inn), ops: num(rp?.ops) };
+}
+
+async function getSeasonStats(batterIds, season, cutoff = null) {
+  if (!batterIds.length) return [];
+  const hydrate = `stats(group=[hitting],type=[${cutoff ? "byDateRange" : "season"}],sportId=1,gameType=R,season=${season}${cutoffParams(cutoff)})`;
+  const url = `${BASE}/people?personIds=${batterIds.join(",")}&hydrate=${encodeURIComponent(hydrate)}`;
+  return fetchJSON(url);
+}
+
+function plateAppearances(stat) {
+  if (typeof stat.plateAppearances === "number") return stat.plateAppearances;
+  const ab = stat.atBats ?? 0;
+  const bb = stat.baseOnBalls ?? 0;
+  const hbp = stat.hitByPitch ?? 0;
+  const sf = stat.sacFlies ?? 0;
+  const sh = stat.sacBunts ?? 0;
+  return ab + bb + hbp + sf + sh;
+}
+
+function computeWTB(stat) {
+  const hits = stat.hits ?? 0;
+  const pa = plateAppearances(stat);
+  return pa > 0 ? hits / pa : 0;
+}
+
+// Fetch a single pitcher's hitsPer9Inn over a date range (inclusive, based on Pacific dates)
+async function getPitcherHitsPer9ByDateRange(pitcherId, startMDY, endMDY) {
+  if (!pitcherId) return null;
+  const hydrate = `stats(group=[pitching],type=[byDateRange],startDate=${startMDY},endDate=${endMDY},force=True)`;
+  const url = `${BASE}/people?personIds=${pitcherId}&hydrate=${encodeURIComponent(hydrate)}`;
+  const data = await fetchJSON(url);
+  const stat = data?.people?.[0]?.stats?.[0]?.splits?.[0]?.stat ?? null;
+  const raw = stat?.hitsPer9Inn;
+  const val = typeof raw === 'number' ? raw : typeof raw === 'string' ? Number(raw) : null;
+  return Number.isFinite(val) ? Number(val) : null;
+}
+
+// Get season home/away OPS splits for a list of batters
+async function getHomeAwaySplits(batterIds, season, cutoff = null) {
+  if (!batterIds.length) return new Map();
+  // homeAndAway returns two splits: HOME and AWAY (date-bounded builds use statSplits h/a instead)
+  const hydrate = cutoff
+    ? `stats(group=[hitting],type=[statSplits],sportId=1,gameType=R,season=${season},sitCodes=[h,a]${cutoffParams(cutoff)})`
+    : `stats(group=[hitting],type=[homeAndAway],sportId=1,gameType=R,season=${season})`;
+  const url = `${BASE}/people?personIds=${batterIds.join(",")}&hydrate=${encodeURIComponent(hydrate)}`;
+  const data = await fetchJSON(url);
+
+
+  const map = new Map(); // id -> { home: { ops, pa }, away: { ops, pa } }
+  for (const p of data.people ?? []) {
+    let home = { ops: null, pa: null }, away = { ops: null, pa: null };
+    const splits = p?.stats?.[0]?.splits ?? [];
+    for (const s of splits) {
+      const stat = s?.stat ?? {};
+      const ops =
+        typeof stat.ops === "number"
+          ? stat.ops
+          : typeof stat.ops === "string"
+          ? Number(stat.ops)
+          : null;
+      const pa = plateAppearances(stat);
+      const code = s?.split?.code?.toLowerCase?.(); // statSplits: "h" / "a"
+      const labelRaw = s?.homeOrAway ?? s?.homeAway ?? s?.split ?? s?.label ?? "";
+      const label = String(labelRaw).toLowerCase();
+      const isHome = code === "h" || s?.isHome === true || label === "home" || label.includes("home");
+      const isAway = code === "a" || s?.isHome === false || label === "away" || label.includes("away");
+      if (isHome) home = { ops: ops ?? null, pa: Number.isFinite(pa) ? pa : null };
+      if (isAway) away = { ops: ops ?? null, pa: Number.isFinite(pa) ? pa : null };
+    }
+    map.set(Number(p.id), { home, away });
+  }
+  return map;
+}
+
+// Get season Home/Away pitching hitsPer9Inn for a probable pitcher
+async function getPitcherHomeAwayHitsPer9(pitcherId, season, cutoff = null) {
+  if (!pitcherId) return { home: null, away: null };
+  const hydrate = cutoff
+    ? `stats(group=[pitching],type=[statSplits],sportId=1,gameType=R,season=${season},sitCodes=[h,a]${cutoffParams(cutoff)})`
+    : `stats(group=[pitching],type=[homeAndAway],sportId=1,gameType=R,season=${season})`;
+  const url = `${BASE}/people?personIds=${pitcherId}&hydrate=${encodeURIComponent(hydrate)}`;
+  const data = await fetchJSON(url);
+
+  let home = null, away = null;
+  const splits = data?.people?.[0]?.stats?.[0]?.splits ?? [];
+  for (const s of splits) {
+    const stat = s?.stat ?? {};
+    const raw = stat.hitsPer9Inn;
+    const val = typeof raw === 'number' ? raw : typeof raw === 'string' ? Number(raw) : null;
+    const code = s?.split?.code?.toLowerCase?.(); // statSplits: 'h' / 'a'
+    const labelRaw = s?.homeOrAway ?? s?.homeAway ?? s?.split ?? s?.label ?? '';
+    const label = String(labelRaw).toLowerCase();
+    const isHome = code === 'h' || s?.isHome === true || label === 'home' || label.includes('home');
+    const isAway = code === 'a' || s?.isHome === false || label === 'away' || label.includes('away');
+    if (isHome && Number.isFinite(val)) home = Number(val);
+    if (isAway && Number.isFinite(val)) away = Number(val);
+  }
+  return { home, away };
+}
+
+function pickHomeAwayOPS(haMapEntry, isOpponentHome) {
+  if (!haMapEntry) return null;
+  // Support both old shape ({homeOPS, awayOPS}) and new shape ({home:{ops,pa}, away:{ops,pa}})
+  if (haMapEntry.home && haMapEntry.away) {
+    return isOpponentHome ? (haMapEntry.home?.ops ?? null) : (haMapEntry.away?.ops ?? null);
+  }
+  return isOpponentHome ? haMapEntry.homeOPS ?? null : haMapEntry.awayOPS ?? null;
+}
+
+function pickHomeAwayPA(haMapEntry, isOpponentHome) {
+  if (!haMapEntry) return null;
+  if (haMapEntry.home && haMapEntry.away) {
+    return isOpponentHome ? (haMapEntry.home?.pa ?? null) : (haMapEntry.away?.pa ?? null);
+  }
+  return null;
+}
+
+// Get pitcher's hitsPer9Inn and OPS allowed vs LHB and vs RHB (season)
+async function getPitcherVsBatterHandSplits(pitcherId, season, cutoff = null) {
+  if (!pitcherId) return { vsLHB: null, vsRHB: null, opsVsLHB: null, opsVsRHB: null };
+  const hydrate = `stats(group=[pitching],type=[statSplits],sportId=1,gameType=R,season=${season},sitCodes=[vl,vr]${cutoffParams(cutoff)})`;
+  const url = `${BASE}/people?personIds=${pitcherId}&hydrate=${encodeURIComponent(hydrate)}`;
+  const data = await fetchJSON(url);
+  let vsLHB = null, vsRHB = null, opsVsLHB = null, opsVsRHB = null;
+  const splits = data?.people?.[0]?.stats?.[0]?.splits ?? [];
+  for (const s of splits) {
+    const code = s?.split?.code?.toLowerCase?.(); // 'vl' or 'vr'
+    const raw = s?.stat?.hitsPer9Inn;
+    const val = typeof raw === 'number' ? raw : typeof raw === 'string' ? Number(raw) : null;
+    const rawOps = s?.stat?.ops;
+    const ops = typeof rawOps === 'number' ? rawOps : typeof rawOps === 'string' ? Number(rawOps) : null;
+    if (code === 'vl') {
+      if (Number.isFinite(val)) vsLHB = Number(val);
+      if (Number.isFinite(ops)) opsVsLHB = Number(ops);
+    } else if (code === 'vr') {
+      if (Number.isFinite(val)) vsRHB = Number(val);
+      if (Number.isFinite(ops)) opsVsRHB = Number(ops);
+    }
+  }
+  return { vsLHB, vsRHB, opsVsLHB, opsVsRHB };
+}
+
+export {
+  H2H_SEASONS,
+  H2H_RECENCY_DECAY,
+  h2hCounts,
+  opsFromCounts,
+  h2hSpanLabel,
+  getVsPitcherOPS,
+  getPitcherSeasonPitchingStats,
+  getOpsVsPitcherHandFromStatSplits,
+  pickOpsVsHand,
+  pickPA_VsHand,
+  pitcherRateStats,
+  inningsFromIP,
+  getPitcherGameLog,
+  recentStarts,
+  getHitterGameLogs,
+  getBullpenStats,
+  getSeasonStats,
+  plateAppearances,
+  computeWTB,
+  getPitcherHitsPer9ByDateRange,
+  getHomeAwaySplits,
+  getPitcherHomeAwayHitsPer9,
+  pickHomeAwayOPS,
+  pickHomeAwayPA,
+  getPitcherVsBatterHandSplits
+};
@@ -0,0 +1,77 @@
+// MLB Stats API client: endpoint base, schedule / boxscore / people lookups and the date
+// helpers used to build date-bounded hydrates. All requests go through http.js (cache, retries).
+
+import { fetchJSON } from "./http.js";
+import { fmtUSDate, pacificTodayYMD, addDaysYMD } from "./dates.js";
+
+const BASE = "https://statsapi.mlb.com/api/v1";
+const MLB_IMG_BASE = "https://img.mlbstatic.com/mlb-photos/image/upload";
+
+// ---------- utils ----------
+// Build MLB headshot URL for a player id (default width 213)
+function headshotUrl(personId, width = 213) {
+  if (!personId) return null;
+  const w = Number(width) || 213;
+  return `${MLB_IMG_BASE}/d_people:generic:headshot:67:current.png/w_${w},q_auto:best/v1/people/${personId}/headshot/67/current`;
+}
+
+async function getScheduleByDate(dateStr) {
+  const url = `${BASE}/schedule?sportId=1&date=${dateStr}&hydrate=team,probablePitcher`;
+  return fetchJSON(url);
+}
+async function getTeamScheduleRange(teamId, startDate, endDate) {
+  const url = `${BASE}/schedule?sportId=1&teamId=${teamId}&startDate=${startDate}&endDate=${endDate}`;
+  return fetchJSON(url);
+}
+// final: the game is over, so the cached boxscore never needs refreshing
+async function getBoxscore(gamePk, { final = false } = {}) {
+  return fetchJSON(`${BASE}/game/${gamePk}/boxscore`, { final });
+}
+
+// ----- Pitcher hand ("L"/"R") -----
+async function getPitcherHand(pitcherId) {
+  if (!pitcherId) return null;
+  const url = `${BASE}/people/${pitcherId}`;
+  const data = await fetchJSON(url);
+  const p = (data?.people ?? [])[0];
+  return p?.pitchHand?.code ?? null; // "L" | "R" | null
+}
+
+// Batch fetch bat-side ('L' | 'R' | 'S') for hitters
+async function getBatSides(batterIds) {
+  const map = new Map();
+  if (!batterIds?.length) return map;
+  const url = `${BASE}/people?personIds=${batterIds.join(',')}`;
+  const data = await fetchJSON(url);
+  for (const p of data.people ?? []) {
+    const code = p?.batSide?.code ?? null; // 'L','R','S'
+    map.set(Number(p.id), code ?? null);
+  }
+  return map;
+}
+
+// Point-in-time cutoff for historical builds: season-to-date through asOf (the day before the target date).
+// Live builds pass null and read full-season stats as they stand.
+function seasonCutoff(season, asOf) {
+  if (!asOf) return null;
+  return { startMDY: fmtUSDate(season, 1, 1), endMDY: fmtUSDate(asOf.y, asOf.m, asOf.d) };
+}
+function cutoffParams(cutoff) {
+  return cutoff ? `,startDate=${cutoff.startMDY},endDate=${cutoff.endMDY}` : "";
+}
+
+export {
+  BASE,
+  MLB_IMG_BASE,
+  headshotUrl,
+  getScheduleByDate,
+  getTeamScheduleRange,
+  getBoxscore,
+  getPitcherHand,
+  getBatSides,
+  fmtUSDate,
+  pacificTodayYMD,
+  addDaysYMD,
+  seasonCutoff,
+  cutoffParams
+};
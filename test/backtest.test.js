@@ -0,0 +1,34 @@
+// Backtest metrics in src/backtest.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluate } from "../src/backtest.js";
+import { resolveProfile } from "../src/profiles.js";
+
+const profile = resolveProfile("default");
+
+// One slate of ten hitters whose wTB% orders their scores; the top `hits` of them got a hit
+function day(gamePk, hits) {
+  const hitters = [], outcomes = new Map();
+  for (let i = 0; i < 10; i += 1) {
+    hitters.push({ id: i + 1, gamePk, wtb_percent: 60 - i * 5, projectedBattingOrder: 3, site: "home" });
+    outcomes.set(`${gamePk}:${i + 1}`, { pa: 4, h: i < hits ? 1 : 0, tb: i < hits ? 1 : 0, hr: 0 });
+  }
+  return { daily: { hitters }, outcomes };
+}
+
+test("the score is reported by rank decile and top N, not as a probability", () => {
+  const m = evaluate([day(1, 3), day(2, 5)], profile, 2);
+  assert.equal(m.n, 20);
+  assert.equal(m.brier, undefined);
+  assert.equal(m.log_loss, undefined);
+  assert.equal(m.top_n_hit_rate, 1);
+  assert.deepEqual(m.score_deciles.map(d => d.decile), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.deepEqual(m.score_deciles.map(d => d.hit_rate), [1, 1, 1, 0.5, 0.5, 0, 0, 0, 0, 0]);
+});
+
+test("Brier score and log-loss come from the emitted P(hit)", () => {
+  const m = evaluate([day(1, 3)], profile, 2);
+  assert.equal(m.probabilities.hit.n, 10);
+  assert.ok(Number.isFinite(m.probabilities.hit.brier));
+  assert.ok(Number.isFinite(m.probabilities.hit.log_loss));
+});
@@ -0,0 +1,62 @@
+// CSV encoding in shared/csv.js, read back with a small RFC 4180 parser
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { COLUMNS, csvCell, hittersToCSV } from "../shared/csv.js";
+
+function parseCSV(text) {
+  const rows = [[]];
+  let cell = "", quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i += 1; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { rows.at(-1).push(cell); cell = ""; }
+    else if (c === "\n") { rows.at(-1).push(cell); cell = ""; rows.push([]); }
+    else cell += c;
+  }
+  if (rows.at(-1).length === 0 && cell === "") rows.pop();
+  return rows;
+}
+
+const hitters = [
+  {
+    id: 1, name: 'Travis "Bird" d\'Arnaud', opponentTeamName: "Boston Red Sox", gamePk: 776, site: "Home",
+    venue: { name: "Park, The\nNew" }, projectedBattingOrder: 2, score: 71,
+    probabilities: { hit: 0.66, tb2: 0.31, hr: null }, score_breakdown: { wtb: 20, h2h: 10 }
+  },
+  { id: 2, name: "Plain Name", score: 40, wtb_percent: NaN, score_breakdown: { wtb: 12, park: 3 } }
+];
+
+test("cells with commas, quotes and newlines are quoted; empty values stay blank", () => {
+  assert.equal(csvCell('a "b", c'), '"a ""b"", c"');
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(NaN), "");
+  assert.equal(csvCell(0), "0");
+});
+
+test("a day's rows read back cell for cell", () => {
+  const [header, ...rows] = parseCSV(hittersToCSV(hitters));
+  assert.deepEqual(header, [...COLUMNS.map(([name]) => name), "breakdown_wtb", "breakdown_h2h", "breakdown_park"]);
+  assert.equal(rows.length, 2);
+  assert.ok(rows.every(r => r.length === header.length));
+  const first = Object.fromEntries(header.map((k, i) => [k, rows[0][i]]));
+  assert.equal(first.name, 'Travis "Bird" d\'Arnaud');
+  assert.equal(first.venue, "Park, The\nNew");
+  assert.equal(first.team, "Boston Red Sox");
+  assert.equal(first.slot, "2");
+  assert.equal(first.p_hit, "0.66");
+  assert.equal(first.p_hr, "");
+  assert.equal(first.breakdown_park, "");
+  const second = Object.fromEntries(header.map((k, i) => [k, rows[1][i]]));
+  assert.equal(second.wtb_percent, "");
+  assert.equal(second.breakdown_park, "3");
+});
+
+test("an empty day is just the header", () => {
+  assert.equal(hittersToCSV([]), COLUMNS.map(([name]) => name).join(",") + "\n");
+  assert.equal(hittersToCSV(null), hittersToCSV([]));
+});
@@ -0,0 +1,60 @@
+// Recency windows and exponentially weighted form in src/form.js, and how profiles pick one
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hitterForm, pitcherForm } from "../src/form.js";
+import { recentHitterLine, recentPitcherH9 } from "../src/scoring.js";
+
+const ASOF = "2025-08-30";
+// A 4-for-4 game with a homer today and a hitless game 10 days ago
+const hitterGames = [
+  { date: "2025-08-30", pa: 4, ab: 4, h: 4, hr: 1, bb: 0, hbp: 0, sf: 0, tb: 7 },
+  { date: "2025-08-20", pa: 4, ab: 4, h: 0, hr: 0, bb: 0, hbp: 0, sf: 0, tb: 0 }
+];
+
+test("windows end on asOf and count only the days inside them", () => {
+  const f = hitterForm(hitterGames, ASOF);
+  assert.deepEqual(f["7d"], { pa: 4, ops: 2.75 });
+  assert.deepEqual(f["14d"], { pa: 8, ops: 1.375 });
+  assert.deepEqual(f["30d"], f["14d"]);
+  assert.deepEqual(hitterForm([{ ...hitterGames[0], date: "2025-08-31" }], ASOF)["7d"], { pa: 0, ops: null });
+});
+
+test("the weighted line halves a game's weight every half-life", () => {
+  const f = hitterForm(hitterGames, ASOF, 10);
+  // today's game at weight 1, the one 10 days back at 0.5
+  assert.equal(f.ewma.pa, 6);
+  assert.equal(f.ewma.ops, Number(((4 / 6) + (7 / 6)).toFixed(3)));
+  assert.equal(f.ewma.half_life_days, 10);
+  assert.ok(hitterForm(hitterGames, ASOF, 3).ewma.ops > f.ewma.ops);
+});
+
+test("the trend holds the weighted value as of each game date", () => {
+  const f = hitterForm(hitterGames, ASOF);
+  assert.deepEqual(f.trend.map(t => t.date), ["2025-08-20", "2025-08-30"]);
+  assert.equal(f.trend[0].value, 0);
+  assert.equal(f.trend[1].value, f.ewma.ops);
+});
+
+test("pitcher form reads H/9 from innings and hits", () => {
+  const f = pitcherForm([
+    { date: "2025-08-28", ip: 6, h: 4 },
+    { date: "2025-08-10", ip: 3, h: 5 }
+  ], ASOF);
+  assert.deepEqual(f["7d"], { ip: 6, h9: 6 });
+  assert.deepEqual(f["30d"], { ip: 9, h9: 9 });
+  assert.equal(f.ewma.half_life_days, 14);
+  assert.deepEqual(pitcherForm([], ASOF)["7d"], { ip: 0, h9: null });
+});
+
+test("the profile picks the recency window, with fallbacks for rows built before windows", () => {
+  const row = {
+    ops_last_7_days: { pa: 18, ops: 0.8 },
+    form: { "7d": { pa: 20, ops: 0.9 }, ewma: { pa: 30, ops: 1.1 } },
+    probable_pitcher_splits: { hitsPer9Inn_last_28_days: 8.5, form: { "14d": { ip: 12, h9: 7.5 } } }
+  };
+  assert.deepEqual(recentHitterLine(row, { form: { hitter: "ewma" } }), { pa: 30, ops: 1.1 });
+  assert.deepEqual(recentHitterLine(row, {}), { pa: 20, ops: 0.9 });
+  assert.deepEqual(recentHitterLine({ ops_last_7_days: row.ops_last_7_days }, { form: { hitter: "ewma" } }), { pa: 18, ops: 0.8 });
+  assert.equal(recentPitcherH9(row, { form: { pitcher: "14d" } }), 7.5);
+  assert.equal(recentPitcherH9(row, {}), 8.5);
+});
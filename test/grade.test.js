@@ -0,0 +1,91 @@
+// Grading in src/gradeDaily.js, replayed from a hand-written response cache
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureHttp } from "../src/http.js";
+import { gradeDay, actualLineFromBoxscore } from "../src/gradeDaily.js";
+
+const API = "https://statsapi.mlb.com/api/v1";
+const DATE = "2025-08-30";
+
+const batter = (battingOrder, batting) => ({ battingOrder, stats: { batting } });
+const box = {
+  teams: {
+    home: { team: { id: 1 }, players: {
+      ID1: batter("100", { atBats: 4, baseOnBalls: 1, hits: 2, doubles: 1, homeRuns: 0 }),
+      ID2: batter("300", { atBats: 4, hits: 1, homeRuns: 1, totalBases: 4 }),
+      ID3: batter("501", { atBats: 1, hits: 0 })
+    } },
+    away: { team: { id: 2 }, players: {
+      ID4: batter("200", { atBats: 3, hits: 0 }),
+      ID5: { stats: { batting: {} } }
+    } }
+  }
+};
+const schedule = { dates: [{ games: [
+  { gamePk: 800, status: { abstractGameState: "Final", detailedState: "Final" } },
+  { gamePk: 801, status: { abstractGameState: "Live", detailedState: "In Progress" } }
+] }] };
+
+const row = (id, gamePk, slot, score, probabilities = null) => ({ id, name: `P${id}`, gamePk, projectedBattingOrder: slot, score, probabilities });
+const daily = {
+  date: DATE,
+  hitters: [
+    row(1, 800, 1, 72, { hit: 0.7, tb2: 0.4, hr: 0.1 }),
+    row(2, 800, 4, 65, { hit: 0.6, tb2: 0.3, hr: 0.2 }),
+    row(3, 800, 5, 30),
+    row(4, 800, 2, 38, { hit: 0.5, tb2: 0.2, hr: 0.05 }),
+    row(5, 800, 9, 20),
+    row(6, 801, 3, 80)
+  ]
+};
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "bvp-grade-"));
+  const record = (url, body) => {
+    const key = crypto.createHash("sha1").update(url).digest("hex");
+    fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify({ url, fetchedAt: new Date().toISOString(), body }));
+  };
+  record(`${API}/schedule?sportId=1&date=${DATE}&hydrate=team,probablePitcher`, schedule);
+  record(`${API}/game/800/boxscore`, box);
+  configureHttp({ cacheDir: dir, replay: true, cache: true });
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a boxscore line gives PA, total bases and the slot the hitter started in", () => {
+  assert.deepEqual(actualLineFromBoxscore(box, 1), { pa: 5, ab: 4, h: 2, tb: 3, hr: 0, slot: 1, started: true });
+  assert.equal(actualLineFromBoxscore(box, 2).tb, 4);
+  assert.equal(actualLineFromBoxscore(box, 3).started, false);
+  assert.equal(actualLineFromBoxscore(box, 99), null);
+});
+
+test("only Final games are graded; the rest count as pending", async () => {
+  const r = await gradeDay(daily);
+  assert.equal(r.gamesGraded, 1);
+  assert.deepEqual(
+    { graded: r.summary.graded, played: r.summary.played, did_not_play: r.summary.did_not_play, pending: r.summary.pending },
+    { graded: 5, played: 4, did_not_play: 1, pending: 1 });
+  const pending = r.hitters.find(h => h.id === 6);
+  assert.equal(pending.gameStatus, "In Progress");
+  assert.equal(pending.actual, null);
+  assert.equal(pending.got_hit, null);
+});
+
+test("outcomes, slot holds, rates and Brier scores per day", async () => {
+  const r = await gradeDay(daily);
+  const byId = new Map(r.hitters.map(h => [h.id, h]));
+  assert.deepEqual([1, 2, 3, 4].map(id => byId.get(id).got_hit), [true, true, false, false]);
+  assert.equal(byId.get(2).got_hr, true);
+  assert.deepEqual([1, 2, 3, 4].map(id => byId.get(id).slot_held), [true, false, true, true]);
+  assert.equal(byId.get(5).got_hit, null);
+  assert.equal(r.summary.hit_rate, 0.5);
+  assert.equal(r.summary.tb2_rate, 0.5);
+  assert.equal(r.summary.avg_tb, 1.75);
+  // P(hit) 0.7 / 0.6 / 0.5 vs hit, hit, no hit; rows without probabilities are left out
+  assert.equal(r.summary.brier.hit, Number(((0.3 ** 2 + 0.4 ** 2 + 0.5 ** 2) / 3).toFixed(4)));
+  assert.deepEqual(r.buckets.map(b => [b.bucket, b.n, b.hit_rate]), [["70-79", 1, 1], ["60-69", 1, 1], ["30-39", 2, 0]]);
+});
@@ -0,0 +1,125 @@
+// Cache TTLs, cache hit/miss and replay misses in src/http.js, with fetch stubbed out
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { fetchJSON, configureHttp, httpStats, resetHttpStats, ttlFor, ReplayMissError, TTL } from "../src/http.js";
+import { pacificTodayYMD } from "../src/dates.js";
+
+const realFetch = globalThis.fetch;
+let cacheDir;
+let calls;
+
+before(() => {
+  cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "bvp-http-"));
+});
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+beforeEach(() => {
+  calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(String(url));
+    return { ok: true, status: 200, statusText: "OK", json: async () => ({ url: String(url), n: calls.length }) };
+  };
+  configureHttp({ cacheDir, cache: true, replay: false, minIntervalMs: 0, retries: 0 });
+  resetHttpStats();
+});
+
+const url = (p) => `https://statsapi.mlb.com/api/v1${p}`;
+const cacheFile = (u) => path.join(cacheDir, `${crypto.createHash("sha1").update(u).digest("hex")}.json`);
+
+test("ttlFor picks the TTL by endpoint", () => {
+  assert.equal(ttlFor(url("/game/777/boxscore")), TTL.boxscore);
+  assert.equal(ttlFor(url("/game/777/boxscore"), { final: true }), TTL.boxscoreFinal);
+  assert.equal(ttlFor(url("/schedule?sportId=1&date=2025-08-30")), TTL.schedule);
+  assert.equal(ttlFor(url(`/people?personIds=1&hydrate=${encodeURIComponent("stats(type=[byDateRange],endDate=08/29/2025)")}`)), TTL.pastWindow);
+  assert.equal(ttlFor(url(`/people?personIds=1&hydrate=${encodeURIComponent("stats(type=[byDateRange],endDate=12/31/2999)")}`)), TTL.people);
+  assert.equal(ttlFor(url("/people?personIds=1")), TTL.people);
+  assert.equal(ttlFor(url("/teams/119/stats")), TTL.default);
+});
+
+test("a window ending today in Pacific time is still open whatever the host's time zone", () => {
+  const tz = process.env.TZ;
+  process.env.TZ = "Pacific/Kiritimati"; // UTC+14: most of the day, already tomorrow in Los Angeles terms
+  try {
+    const { y, m, d } = pacificTodayYMD();
+    const end = `${String(m).padStart(2, "0")}/${String(d).padStart(2, "0")}/${y}`;
+    assert.equal(ttlFor(url(`/people?personIds=1&hydrate=${encodeURIComponent(`stats(type=[byDateRange],endDate=${end})`)}`)), TTL.people);
+  } finally {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  }
+});
+
+test("a fresh cached response is served without a network request", async () => {
+  const u = url("/people?personIds=11");
+  const first = await fetchJSON(u);
+  const second = await fetchJSON(u);
+  assert.deepEqual(second, first);
+  assert.equal(calls.length, 1);
+  assert.equal(httpStats().network, 1);
+  assert.equal(httpStats().cacheHits, 1);
+  assert.ok(fs.existsSync(cacheFile(u)));
+});
+
+test("an expired cache entry is fetched again", async () => {
+  const u = url("/schedule?sportId=1&date=2025-08-30");
+  await fetchJSON(u);
+  const rec = JSON.parse(fs.readFileSync(cacheFile(u), "utf8"));
+  rec.fetchedAt = new Date(Date.now() - TTL.schedule - 1000).toISOString();
+  fs.writeFileSync(cacheFile(u), JSON.stringify(rec));
+  await fetchJSON(u);
+  assert.equal(calls.length, 2);
+  assert.equal(httpStats().cacheHits, 0);
+});
+
+test("--no-cache always fetches and writes nothing", async () => {
+  configureHttp({ cache: false });
+  const u = url("/people?personIds=12");
+  await fetchJSON(u);
+  await fetchJSON(u);
+  assert.equal(calls.length, 2);
+  assert.ok(!fs.existsSync(cacheFile(u)));
+});
+
+test("replay serves recorded responses whatever their age", async () => {
+  const u = url("/schedule?sportId=1&date=2025-08-31");
+  await fetchJSON(u);
+  const rec = JSON.parse(fs.readFileSync(cacheFile(u), "utf8"));
+  rec.fetchedAt = "2000-01-01T00:00:00.000Z";
+  fs.writeFileSync(cacheFile(u), JSON.stringify(rec));
+  configureHttp({ replay: true });
+  assert.deepEqual(await fetchJSON(u), rec.body);
+  assert.equal(calls.length, 1);
+});
+
+test("replay throws ReplayMissError for an unrecorded URL and never fetches", async () => {
+  configureHttp({ replay: true });
+  const u = url("/people?personIds=404");
+  await assert.rejects(fetchJSON(u), (e) => e instanceof ReplayMissError && e.url === u);
+  assert.equal(calls.length, 0);
+  assert.equal(httpStats().network, 0);
+});
+
+test("a released slot goes to the next waiter, never to a newer caller", async () => {
+  let running = 0, most = 0;
+  globalThis.fetch = async (u) => {
+    running += 1;
+    most = Math.max(most, running);
+    await null;
+    running -= 1;
+    return { ok: true, status: 200, statusText: "OK", json: async () => ({ url: String(u) }) };
+  };
+  configureHttp({ cache: false, concurrency: 1 });
+  try {
+    await Promise.all(Array.from({ length: 5 }, (_, i) => fetchJSON(url(`/a/${i}`)).then(() => fetchJSON(url(`/b/${i}`)))));
+  } finally {
+    configureHttp({ concurrency: 8 });
+  }
+  assert.equal(most, 1);
+  assert.equal(httpStats().network, 10);
+});
@@ -0,0 +1,76 @@
+// Lineup slots, posted lineups and doubleheader game 2 projections in src/lineups.js and src/games.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { battingOrderSlot, chooseProjectedOrder, confirmedLineup, secondLegLineup, lineupCatcher } from "../src/lineups.js";
+import { firstLegOf } from "../src/games.js";
+
+test("battingOrder codes map to lineup slots; subs keep the starter's slot", () => {
+  assert.equal(battingOrderSlot("100"), 1);
+  assert.equal(battingOrderSlot("901"), 9);
+  assert.equal(battingOrderSlot(null), null);
+  assert.equal(battingOrderSlot("x"), null);
+});
+
+test("the projected slot is the most frequent one, ties going to the latest", () => {
+  assert.equal(chooseProjectedOrder({ 2: 4, 3: 1 }, 3), 2);
+  assert.equal(chooseProjectedOrder({ 2: 2, 6: 2 }, 6), 6);
+  assert.equal(chooseProjectedOrder({ 6: 2, 2: 2 }, 2), 2);
+  assert.equal(chooseProjectedOrder({}, null), null);
+});
+
+test("a posted lineup gives each starter's slot; none until all nine are in", () => {
+  const box = { teams: { away: { team: { id: 5 }, battingOrder: [21, 22, 23, 24, 25, 26, 27, 28, 29] }, home: { team: { id: 6 }, battingOrder: [31, 32] } } };
+  const away = confirmedLineup(box, 5);
+  assert.equal(away.size, 9);
+  assert.equal(away.get(21), 1);
+  assert.equal(away.get(29), 9);
+  assert.equal(away.has(31), false);
+  assert.equal(confirmedLineup(box, 6), null);
+  assert.equal(confirmedLineup(box, 7), null);
+});
+
+const game1 = new Map([[11, 1], [12, 2], [13, 3], [14, 4], [15, 5], [16, 6], [17, 7], [18, 8], [19, 9]]);
+
+test("game 2 rests game 1's catcher and bats the backup in his slot", () => {
+  const { slots, rested } = secondLegLineup(game1, { catcherStarts: new Map([[19, 5], [30, 2]]), firstCatcher: 19 });
+  assert.deepEqual(rested, [19]);
+  assert.equal(slots.has(19), false);
+  assert.equal(slots.get(30), 9);
+  assert.equal(slots.size, 9);
+  assert.equal(game1.has(19), true);
+});
+
+test("a backup already in game 1's lineup keeps his slot", () => {
+  const { slots, rested } = secondLegLineup(game1, { catcherStarts: new Map([[19, 5], [14, 1]]), firstCatcher: 19 });
+  assert.deepEqual(rested, [19]);
+  assert.equal(slots.get(14), 4);
+  assert.equal(slots.size, 8);
+});
+
+test("a projected game 1 picks its catcher from window starts", () => {
+  const { rested } = secondLegLineup(game1, { catcherStarts: new Map([[17, 4], [30, 1]]) });
+  assert.deepEqual(rested, [17]);
+});
+
+test("without a second catcher game 2 keeps game 1's lineup", () => {
+  const { slots, rested } = secondLegLineup(game1, { catcherStarts: new Map([[19, 6]]), firstCatcher: 19 });
+  assert.deepEqual(rested, []);
+  assert.deepEqual(slots, game1);
+});
+
+test("lineupCatcher reads the starting catcher from a posted lineup", () => {
+  const box = { teams: { home: { team: { id: 7 }, battingOrder: [11, 12, 13, 14, 15, 16, 17, 18, 19],
+    players: { ID13: { allPositions: [{ code: "2" }, { code: "3" }] }, ID19: { position: { code: "2" }, allPositions: [{ code: "8" }] } } } } };
+  assert.equal(lineupCatcher(box, 7), 13);
+  assert.equal(lineupCatcher(box, 8), null);
+});
+
+test("firstLegOf finds game 1 of the same doubleheader", () => {
+  const teams = { home: { team: { id: 1 } }, away: { team: { id: 2 } } };
+  const g1 = { gamePk: 1, officialDate: "2025-08-30", doubleHeader: "S", gameNumber: 1, teams };
+  const g2 = { gamePk: 2, officialDate: "2025-08-30", doubleHeader: "S", gameNumber: 2, teams };
+  const other = { gamePk: 3, officialDate: "2025-08-30", doubleHeader: "N", gameNumber: 1, teams: { home: { team: { id: 3 } }, away: { team: { id: 4 } } } };
+  assert.equal(firstLegOf(g2, [other, g1, g2]), g1);
+  assert.equal(firstLegOf(g1, [other, g1, g2]), null);
+  assert.equal(firstLegOf(other, [other, g1, g2]), null);
+});
@@ -0,0 +1,63 @@
+// Event probabilities in src/probability.js: log5 matchups, compounding over PA and Platt calibration
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { log5, calibrate, perGame, fitPlatt, hitterProbabilities } from "../src/probability.js";
+import { resolveProfile } from "../src/profiles.js";
+
+const close = (a, b, eps = 1e-9) => assert.ok(Math.abs(a - b) < eps, `${a} ≈ ${b}`);
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const logit = (p) => Math.log(p / (1 - p));
+
+test("log5 leaves a hitter alone against a league-average pitcher", () => {
+  close(log5(0.3, 0.23, 0.23), 0.3);
+  close(log5(0.23, 0.3, 0.23), 0.3);
+  assert.ok(log5(0.3, 0.18, 0.23) < 0.3);
+  assert.ok(log5(0.3, 0.28, 0.23) > 0.3);
+  // odds multiply: 0.25 vs 0.25 in a 0.2 league → odds 1/3 * 1/3 / (1/4) = 4/9
+  close(log5(0.25, 0.25, 0.2), 4 / 13);
+});
+
+test("per-game probabilities compound the per-PA rates", () => {
+  const g = perGame({ hit: 0.25, xbh: 0.08, hr: 0.03 }, 4);
+  close(g.hit, 1 - 0.75 ** 4);
+  close(g.hr, 1 - 0.97 ** 4);
+  close(g.tb2, g.hit - 4 * 0.17 * 0.75 ** 3);
+  assert.deepEqual(perGame({ hit: 0.25, xbh: null, hr: null }, 4).tb2, null);
+});
+
+test("Platt calibration defaults to the identity", () => {
+  close(calibrate(0.62), 0.62);
+  close(calibrate(0.62, { a: 1, b: 0 }), 0.62);
+  close(calibrate(0.62, { a: 2, b: -0.5 }), sigmoid(2 * logit(0.62) - 0.5));
+  assert.equal(calibrate(null), null);
+});
+
+test("fitPlatt recovers a known calibration", () => {
+  const preds = [];
+  for (let i = 1; i < 20; i += 1) {
+    const p = i / 20;
+    const ones = Math.round(200 * sigmoid(1.5 * logit(p) - 0.4));
+    for (let j = 0; j < 200; j += 1) preds.push({ p, y: j < ones ? 1 : 0 });
+  }
+  const fit = fitPlatt(preds);
+  close(fit.a, 1.5, 0.02);
+  close(fit.b, -0.4, 0.02);
+  assert.equal(fitPlatt(preds.slice(0, 99)), null);
+});
+
+test("a profile's calibration is applied to the emitted probabilities", () => {
+  const profile = resolveProfile("default");
+  const row = {
+    season_line: { pa: 500, h: 130, doubles: 25, triples: 2, hr: 20 },
+    probable_pitcher_splits: { hitsPer9Inn: 9 },
+    projectedBattingOrder: 2, site: "Home"
+  };
+  const identity = { ...profile, probability: { ...profile.probability, calibration: {} } };
+  const shrunk = { ...profile, probability: { ...profile.probability, calibration: { hit: { a: 0.5, b: 0 } } } };
+  const raw = hitterProbabilities(row, 4.2, identity);
+  const cal = hitterProbabilities(row, 4.2, shrunk);
+  assert.ok(raw.hit > 0.5 && raw.hit < 1);
+  assert.ok(cal.hit < raw.hit && cal.hit > 0.5);
+  assert.equal(cal.tb2, raw.tb2);
+  assert.ok(raw.hr < raw.tb2 && raw.tb2 < raw.hit);
+});
@@ -0,0 +1,10 @@
+// Profile loading in src/profiles.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveProfile } from "../src/profiles.js";
+
+test("a non-JSON profiles file is rejected before it is read", () => {
+  for (const file of ["profiles.yaml", "profiles.yml", "config/profiles"]) {
+    assert.throws(() => resolveProfile("default", file), /must be JSON \(\.json\)/);
+  }
+});
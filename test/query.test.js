@@ -0,0 +1,95 @@
+// Daily-file queries in src/query.js and the dev server's JSON routes (scripts/devServer.js)
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { filterHitters, querySlate, playerHistory } from "../src/query.js";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "scripts", "devServer.js");
+
+const row = (id, name, team, slot, score, gamePk = 776) => ({ id, name, opponentTeamName: team, projectedBattingOrder: slot, score, gamePk });
+const hitters = [
+  row(1, "Able", "Boston Red Sox", 1, 62),
+  row(2, "Baker", "Boston Red Sox", 7, 48),
+  row(3, "Cole", "New York Yankees", 3, 71),
+  row(4, "Dunn", "New York Mets", 9, null)
+];
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "bvp-query-"));
+  fs.mkdirSync(path.join(dir, "api", "results"), { recursive: true });
+  const write = (file, obj) => fs.writeFileSync(path.join(dir, "api", file), JSON.stringify(obj));
+  write("2025-08-29.json", { date: "2025-08-29", schemaVersion: 1, meta: {}, hitters: [row(1, "Able", "Boston Red Sox", 2, 55, 770)] });
+  write("2025-08-30.json", { date: "2025-08-30", schemaVersion: 1, meta: {}, hitters });
+  write("results/2025-08-29.json", { hitters: [{ id: 1, gamePk: 770, actual: { pa: 4, h: 2 } }] });
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("filters combine team substring, minimum score and slot spec", () => {
+  assert.deepEqual(filterHitters(hitters, { team: "new york" }).map(h => h.id), [3, 4]);
+  assert.deepEqual(filterHitters(hitters, { minScore: "60" }).map(h => h.id), [1, 3]);
+  assert.deepEqual(filterHitters(hitters, { slots: "1-5" }).map(h => h.id), [1, 3]);
+  assert.deepEqual(filterHitters(hitters, { team: "red sox", slots: "6-9" }).map(h => h.id), [2]);
+  assert.equal(filterHitters(hitters, { minScore: "" }).length, 4);
+  assert.throws(() => filterHitters(hitters, { minScore: "high" }), /minScore expects a number/);
+  assert.throws(() => filterHitters(hitters, { slots: "top" }), /--slots expects/);
+});
+
+test("a slate query sorts by score and counts what the filters kept", () => {
+  const api = path.join(dir, "api");
+  const slate = querySlate(api, "2025-08-30", { minScore: 50 });
+  assert.equal(slate.total, 4);
+  assert.equal(slate.count, 2);
+  assert.deepEqual(slate.hitters.map(h => h.id), [3, 1]);
+  assert.equal(querySlate(api, "2025-08-31"), null);
+  assert.throws(() => querySlate(api, "../secrets"), /date expects YYYY-MM-DD/);
+});
+
+test("a player's history spans built dates with graded outcomes", () => {
+  const h = playerHistory(path.join(dir, "api"), "1");
+  assert.equal(h.name, "Able");
+  assert.equal(h.dates, 2);
+  assert.deepEqual(h.history.map(e => [e.date, e.actual?.h ?? null]), [["2025-08-29", 2], ["2025-08-30", null]]);
+  assert.throws(() => playerHistory(path.join(dir, "api"), "abc"), /player id expects a number/);
+});
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on("error", reject);
+  });
+}
+
+test("the dev server answers 400 to malformed URLs and bad query values", { timeout: 20000 }, async () => {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], { cwd: dir, env: { ...process.env, PORT: String(port) }, stdio: ["ignore", "pipe", "inherit"] });
+  try {
+    await new Promise((resolve, reject) => {
+      child.stdout.on("data", (chunk) => { if (String(chunk).includes("Dev server running")) resolve(); });
+      child.on("exit", (code) => reject(new Error(`dev server exited with ${code}`)));
+    });
+    const get = (p) => fetch(`http://127.0.0.1:${port}${p}`);
+
+    const malformed = await get("/%E0%A4%A");
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(await malformed.json(), { error: "malformed URL" });
+
+    const badSlot = await get("/api/slate?date=2025-08-30&slot=top");
+    assert.equal(badSlot.status, 400);
+    assert.match((await badSlot.json()).error, /--slots expects/);
+
+    const ok = await get("/api/slate?date=2025-08-30&team=yankees");
+    assert.equal(ok.status, 200);
+    assert.deepEqual((await ok.json()).hitters.map(h => h.id), [3]);
+  } finally {
+    child.kill();
+  }
+});
@@ -0,0 +1,37 @@
+// Offline build of a recorded date: fixtures/2025-08-30 replayed through the response cache
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { buildSlate, configureHttp, httpStats, validateDaily } from "../src/index.js";
+import { ReplayMissError } from "../src/http.js";
+import { loadParkFactors } from "../src/parks.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "2025-08-30");
+
+configureHttp({ cacheDir: FIXTURES, replay: true, cache: true });
+
+test("builds 2025-08-30 from recorded responses with no network", async () => {
+  const daily = await buildSlate("2025-08-30", { parks: loadParkFactors() });
+  assert.equal(daily.date, "2025-08-30");
+  assert.equal(daily.meta.pointInTime, true);
+  assert.ok(daily.hitters.length > 0);
+  assert.deepEqual(validateDaily(daily), []);
+  assert.equal(daily.meta.fetch.requests, 0);
+  assert.ok(daily.meta.fetch.cacheHits > 0);
+  assert.equal(daily.meta.fetch.failures.length, 0);
+  assert.deepEqual(daily.meta.skippedGames.filter(s => s.reason === "inputs_unavailable"), []);
+  assert.equal(httpStats().replay, true);
+});
+
+test("a build that leaves out scheduled games records them as not_started and still validates", async () => {
+  const daily = await buildSlate("2025-08-30", { parks: loadParkFactors(), states: "live" });
+  assert.deepEqual(validateDaily(daily), []);
+  assert.ok(daily.meta.skippedGames.length > 0);
+  assert.ok(daily.meta.skippedGames.every(s => s.reason !== undefined));
+  assert.ok(daily.meta.skippedGames.some(s => s.reason === "not_started"));
+});
+
+test("a date that wasn't recorded fails instead of fetching", async () => {
+  await assert.rejects(buildSlate("2025-08-31", { parks: loadParkFactors() }), ReplayMissError);
+});
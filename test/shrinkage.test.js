@@ -0,0 +1,64 @@
+// Empirical-Bayes shrinkage in src/shrinkage.js and how scoreHitter weighs missing inputs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { shrinkRate, shrinkSplits } from "../src/shrinkage.js";
+import { scoreHitter } from "../src/scoring.js";
+import { resolveProfile } from "../src/profiles.js";
+
+const cfg = {
+  league: { ops: 0.72, wtb: 0.223 },
+  prior_pa: { season_ops: 200, wtb: 200, ops_hand: 100, ops_site: 100, last7: 60, h2h: 50 }
+};
+
+test("shrinkRate blends the sample with its prior by PA", () => {
+  assert.equal(shrinkRate(1.0, 0, 0.7, 100), 0.7);
+  assert.equal(shrinkRate(null, 50, 0.7, 100), 0.7);
+  assert.ok(Math.abs(shrinkRate(1.0, 100, 0.7, 100) - 0.85) < 1e-9);
+  assert.equal(shrinkRate(0.9, 30, null, 100), 0.9);
+  assert.equal(shrinkRate(0.9, 30, 0.7, 0), 0.9);
+});
+
+test("a hitter with no samples lands on the league prior everywhere", () => {
+  const s = shrinkSplits({}, cfg);
+  for (const key of ["season_ops", "ops_vs_pitcher_hand", "ops_site", "ops_recent", "ops_vs_pitcher"]) {
+    assert.equal(s[key], 0.72, key);
+  }
+  assert.equal(s.wtb, 0.223);
+});
+
+test("splits regress toward the shrunk season line, not straight to league", () => {
+  const s = shrinkSplits({ season_ops: 0.92, season_pa: 600, ops_last7: 2.0, pa_last7: 12 }, cfg);
+  assert.ok(Math.abs(s.season_ops - (0.92 * 600 + 0.72 * 200) / 800) < 1e-9);
+  assert.ok(Math.abs(s.ops_recent - (2.0 * 12 + s.season_ops * 60) / 72) < 1e-9);
+  assert.equal(s.ops_site, s.season_ops);
+});
+
+test("one hot week moves the score less than a hot month", () => {
+  const profile = resolveProfile("default");
+  const base = { season_ops: 0.75, season_pa: 400 };
+  const neutral = scoreHitter(base, profile).score;
+  const week = scoreHitter({ ...base, ops_last7: 1.6, pa_last7: 12 }, profile).score;
+  const month = scoreHitter({ ...base, ops_last7: 1.6, pa_last7: 110 }, profile).score;
+  assert.ok(neutral < week && week < month, `${neutral} < ${week} < ${month}`);
+});
+
+test("a hitter with nothing known scores neutral under shrinkage", () => {
+  const { score, shrunk } = scoreHitter({}, resolveProfile("default"));
+  assert.equal(score, 50);
+  assert.equal(shrunk.ops_recent, 0.72);
+});
+
+// Every input at the top of its band, so the score is the sum of the weights used
+const maxed = {
+  wtb: 0.4, season_pa: 600, h9_vs_side: 13, h9_28: 13, ops_vs_hand: 1.2, ops_site: 1.2,
+  projected_pa: 5, h2h_ab: 30, h2h_ops: 2.0, park_hits: 120, starter_share: 1
+};
+
+test("legacy ramps redistribute the weight a missing last7 gives up", () => {
+  const profile = resolveProfile("legacy-ramps");
+  assert.equal(scoreHitter({ ...maxed, ops_last7: 1.3, pa_last7: 40 }, profile).score, 100);
+  // last7 drops to half weight (0.05) scored neutral: 100 - 2.5. The other half goes to the rest, or this would be 93
+  const { score, score_breakdown } = scoreHitter(maxed, profile);
+  assert.equal(score, 98);
+  assert.equal(Object.values(score_breakdown).reduce((a, b) => a + b, 0), score);
+});
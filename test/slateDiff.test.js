@@ -0,0 +1,51 @@
+// Slate diffs in shared/slateDiff.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffSlates } from "../shared/slateDiff.js";
+
+const hitter = (id, name, gamePk, slot, score) => ({ id, name, gamePk, projectedBattingOrder: slot, score });
+const game = (gamePk, homeP, awayP) => ({
+  gamePk,
+  home: { team: { id: 10, name: "Home" }, probablePitcher: homeP },
+  away: { team: { id: 20, name: "Away" }, probablePitcher: awayP }
+});
+
+const early = {
+  date: "2025-08-30", meta: { builtAt: "2025-08-30T14:00:00Z" },
+  hitters: [hitter(1, "Able", 776, 1, 60), hitter(2, "Baker", 776, 6, 50), hitter(3, "Cole", 776, 3, 40)],
+  games: [game(776, { id: 100, name: "Ace" }, { id: 200, name: "Deuce" })]
+};
+const late = {
+  date: "2025-08-30", meta: { builtAt: "2025-08-30T18:00:00Z" },
+  hitters: [hitter(1, "Able", 776, 1, 52), hitter(2, "Baker", 776, 2, 53), hitter(4, "Dunn", 776, 7, 45)],
+  games: [game(776, { id: 101, name: "Opener" }, { id: 200, name: "Deuce" })]
+};
+
+test("a same-day rebuild lists adds, drops, slot moves, score swings and scratched starters", () => {
+  const d = diffSlates(early, late);
+  assert.deepEqual(d.from, { date: "2025-08-30", builtAt: "2025-08-30T14:00:00Z" });
+  assert.deepEqual(d.added.map(h => h.id), [4]);
+  assert.deepEqual(d.dropped.map(h => h.id), [3]);
+  assert.deepEqual(d.slotChanges.map(h => [h.id, h.from, h.to]), [[2, 6, 2]]);
+  assert.deepEqual(d.scoreChanges.map(h => [h.id, h.delta]), [[1, -8]]);
+  assert.deepEqual(d.pitcherChanges, [{ gamePk: 776, side: "home", team: "Home", from: { id: 100, name: "Ace" }, to: { id: 101, name: "Opener" } }]);
+});
+
+test("the threshold decides which score changes count", () => {
+  assert.deepEqual(diffSlates(early, late, { threshold: 3 }).scoreChanges.map(h => h.id), [1, 2]);
+  assert.deepEqual(diffSlates(early, late, { threshold: 10 }).scoreChanges, []);
+});
+
+test("doubleheader rows stay apart on the same date", () => {
+  const a = { date: "2025-08-30", hitters: [hitter(1, "Able", 776, 1, 60), hitter(1, "Able", 778, 1, 60)] };
+  const b = { date: "2025-08-30", hitters: [hitter(1, "Able", 776, 1, 60)] };
+  assert.deepEqual(diffSlates(a, b).dropped.map(h => h.gamePk), [778]);
+});
+
+test("across dates hitters match by id and starters by team", () => {
+  const next = { ...late, date: "2025-08-31", hitters: late.hitters.map(h => ({ ...h, gamePk: 790 })), games: [game(790, { id: 101, name: "Opener" }, { id: 200, name: "Deuce" })] };
+  const d = diffSlates(early, next);
+  assert.deepEqual(d.added.map(h => h.id), [4]);
+  assert.deepEqual(d.dropped.map(h => h.id), [3]);
+  assert.deepEqual(d.pitcherChanges.map(p => [p.team, p.to.id]), [["Home", 101]]);
+});
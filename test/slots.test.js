@@ -0,0 +1,36 @@
+// Whole-lineup coverage: the --slots filter and the per-slot projected PA table
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSlots, ALL_SLOTS } from "../src/lineups.js";
+import { projectedPAFor, scoreHitter } from "../src/scoring.js";
+import { resolveProfile } from "../src/profiles.js";
+
+const profile = resolveProfile("default");
+
+test("--slots takes ranges, lists and mixes; the default keeps all nine", () => {
+  assert.deepEqual(parseSlots(null), ALL_SLOTS);
+  assert.deepEqual(parseSlots("1-5"), [1, 2, 3, 4, 5]);
+  assert.deepEqual(parseSlots("9,1-3"), [1, 2, 3, 9]);
+  assert.deepEqual(parseSlots("7-6"), [6, 7]);
+  assert.throws(() => parseSlots("0"), /keeps no slots/);
+  assert.throws(() => parseSlots("top"), /--slots expects slots 1-9/);
+});
+
+test("every slot has a projected PA at home and away, falling down the order", () => {
+  for (const isHome of [true, false]) {
+    const pa = ALL_SLOTS.map(s => projectedPAFor(s, isHome, profile));
+    assert.ok(pa.every(Number.isFinite));
+    for (let i = 1; i < pa.length; i += 1) assert.ok(pa[i] < pa[i - 1], `slot ${i + 1} after slot ${i}`);
+  }
+  for (const s of ALL_SLOTS) assert.ok(projectedPAFor(s, false, profile) > projectedPAFor(s, true, profile));
+  assert.equal(projectedPAFor(null, true, profile), null);
+  assert.equal(projectedPAFor(10, true, profile), null);
+});
+
+test("the opportunity band spans the table, so every slot scores by its PA", () => {
+  const { min, max } = profile.bands.opp_pa;
+  assert.equal(min, projectedPAFor(9, true, profile));
+  assert.equal(max, projectedPAFor(1, false, profile));
+  const opp = (slot, isHome) => scoreHitter({ projected_pa: projectedPAFor(slot, isHome, profile) }, profile).score_breakdown.opp;
+  assert.ok(opp(1, false) > opp(5, false) && opp(5, false) > opp(9, true));
+});
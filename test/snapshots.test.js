@@ -0,0 +1,24 @@
+// Snapshot retention in src/snapshots.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { writeSnapshot, listSnapshots, readSnapshot, snapshotDir } from "../src/snapshots.js";
+
+const daily = (builtAt) => ({ date: "2025-08-30", gamesAnalyzed: 1, hitterCount: 0, hitters: [], meta: { builtAt, target: { rule: "explicit_date" } } });
+
+test("only the last `keep` runs of a date are kept, on disk and in index.json", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bvp-snap-"));
+  try {
+    for (let h = 10; h < 15; h++) writeSnapshot(dir, daily(`2025-08-30T${h}:00:00.000Z`), { keep: 3 });
+    const list = listSnapshots(dir, "2025-08-30");
+    assert.deepEqual(list.map(s => s.builtAt), ["2025-08-30T12:00:00.000Z", "2025-08-30T13:00:00.000Z", "2025-08-30T14:00:00.000Z"]);
+    const files = fs.readdirSync(snapshotDir(dir, "2025-08-30")).filter(f => f !== "index.json").sort();
+    assert.deepEqual(files, list.map(s => s.file).sort());
+    assert.equal(readSnapshot(dir, "2025-08-30", "-3").meta.builtAt, "2025-08-30T12:00:00.000Z");
+    assert.throws(() => readSnapshot(dir, "2025-08-30", "-4"), /No snapshot "-4"/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
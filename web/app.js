@@ -1,3 +1,7 @@
+import { DEFAULT_THRESHOLD, diffSlates } from '../shared/slateDiff.js';
+import { hittersToCSV } from '../shared/csv.js';
+import { hittersOf } from '../shared/dailyFile.js';
+
 const $ = (sel) => document.querySelector(sel);
 
 function fmt(n, digits = 3) {
@@ -6,6 +10,11 @@ function fmt(n, digits = 3) {
   return Number.isFinite(v) ? v.toFixed(digits) : "";
 }
 function fmtOrDash(x) { return (x === '' || x == null) ? '—' : x; }
+function fmtPct(p) { return Number.isFinite(p) ? `${(p * 100).toFixed(0)}%` : '—'; }
+// Sort keys may be dotted paths into the row (e.g. "probabilities.hit")
+function valueAt(obj, key) {
+  return String(key).split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
 
 function getSiteBase() {
   try {
@@ -34,39 +43,468 @@ function formatDateInput(iso) {
   return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
 }
 
-async function loadData({ dateStr, minPa, sortKey = "score", sortDir = "desc" } = {}) {
+async function loadData({ dateStr, sortKey = "score", sortDir = "desc", view = "cards", pitcherId = null, playerId = null, ...filters } = {}) {
   const status = $("#status");
   status.textContent = "Loading...";
+  if (playerId) return loadPlayerHistory(playerId);
   const url = buildApiPath(dateStr);
   try {
     const r = await fetch(url, { cache: "no-store" });
     if (!r.ok) throw new Error(`${r.status} ${r.statusText}`);
-    const data = await r.json();
-    const hitters = Array.isArray(data?.hitters) ? data.hitters : collectFromEntries(data);
-    renderCards(hitters, { minPa, sortKey, sortDir });
-    status.textContent = `Loaded ${hitters.length} hitters from ${data?.date ?? "?"}`;
+    const data = normalizeDaily(await r.json());
+    const { hitters, games } = data;
+    populateFilterOptions(hitters, games);
+    populateSortOptions(hitters);
+    const opts = { ...filters, sortKey, sortDir, form: data.form };
+    exportRows = filterAndSort(hitters, opts);
+    exportDate = data?.date ?? dateStr ?? 'today';
+    if (pitcherId) renderPitcherPage(pitcherId, hitters, games, opts);
+    else if (view === 'games') renderGames(games, hitters, opts);
+    else if (view === 'table') renderTable(hitters, opts);
+    else renderCards(hitters, opts);
+    const builtAt = data.builtAt ?? manifestEntry(data.date)?.builtAt;
+    const skipped = data.skippedGames.filter(g => g.reason === 'inputs_unavailable').length;
+    // Games left out by state (postponed, already final, ...) are listed once per game
+    const notBuilt = new Set(data.skippedGames.filter(g => !['no_probable', 'inputs_unavailable'].includes(g.reason)).map(g => g.gamePk)).size;
+    status.textContent = `Loaded ${hitters.length} hitters from ${data.date ?? "?"}${builtAt ? ` • built ${fmtBuiltAt(builtAt)}` : ''}` +
+      `${skipped ? ` • ${skipped} probable(s) skipped` : ''}${notBuilt ? ` • ${notBuilt} game(s) not scored (see Games)` : ''}` +
+      `${data.warning ? ` • ${data.warning}` : ''}`;
+    if (!$("#diffPanel")?.hidden) refreshDiffPanel(data.date);
   } catch (e) {
     console.error(e);
     status.textContent = `Error: ${e.message}`;
   }
 }
 
-function collectFromEntries(data) {
-  // Fallback to old structure: entries[].hitters
-  const entries = Array.isArray(data?.entries) ? data.entries : [];
-  return entries.flatMap(e => e.hitters || []);
+async function fetchJSONOrNull(url) {
+  try {
+    const r = await fetch(url, { cache: "no-store" });
+    return r.ok ? await r.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Map over items with at most `limit` promises in flight
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+// Player history: the player's row from every date in api/index.json, joined with graded outcomes
+async function loadPlayerHistory(playerId) {
+  const status = $("#status");
+  const base = getSiteBase();
+  const id = Number(playerId);
+  const manifest = await fetchJSONOrNull(`${base}api/index.json`);
+  if (!Array.isArray(manifest?.dates)) {
+    status.textContent = 'Error: api/index.json missing (run npm run manifest)';
+    return;
+  }
+  const dates = manifest.dates.map(d => (typeof d === 'string' ? { date: d } : d)).filter(d => d.date);
+  const perDate = await mapLimit(dates, 6, async (d) => {
+    const daily = await fetchJSONOrNull(`${base}api/${d.date}.json`);
+    const rows = daily ? normalizeDaily(daily).hitters.filter(h => h.id === id) : [];
+    if (!rows.length) return [];
+    const results = d.graded === false ? null : await fetchJSONOrNull(`${base}api/results/${d.date}.json`);
+    return rows.map(h => ({
+      date: daily.date ?? d.date,
+      row: h,
+      actual: (results?.hitters ?? []).find(r => r.id === id && r.gamePk === h.gamePk)?.actual ?? null
+    }));
+  });
+  const history = perDate.flat().sort((a, b) => a.date.localeCompare(b.date));
+  renderPlayerPage(id, history);
+  status.textContent = `Loaded ${history.length} day(s) for player ${id} from ${dates.length} built date(s)`;
+}
+
+// Small SVG line chart over dates; points [{ date, y, color? }], x spaced by calendar day
+function lineChart(points, { title, digits = 3, bars = false } = {}) {
+  const pts = points.filter(p => Number.isFinite(p.y));
+  if (!pts.length) return `<div class="chart"><div class="label">${title}</div><div class="meta">No data</div></div>`;
+  const W = 600, H = 150, PAD = { l: 40, r: 10, t: 10, b: 22 };
+  const t = (d) => Date.parse(`${d}T00:00:00Z`);
+  const t0 = t(pts[0].date), t1 = t(pts[pts.length - 1].date);
+  const ys = pts.map(p => p.y);
+  const yMin = bars ? 0 : Math.min(...ys), yMax = Math.max(...ys);
+  const span = yMax - yMin || 1;
+  const x = (d) => PAD.l + (t1 > t0 ? (t(d) - t0) / (t1 - t0) : 0.5) * (W - PAD.l - PAD.r);
+  const y = (v) => PAD.t + (1 - (v - yMin) / span) * (H - PAD.t - PAD.b);
+  const marks = bars
+    ? pts.map(p => `<rect x="${x(p.date) - 3}" y="${y(p.y)}" width="6" height="${y(yMin) - y(p.y)}" fill="${p.color || 'var(--accent)'}"><title>${p.date}: ${fmt(p.y, digits)}</title></rect>`).join('')
+    : `<polyline fill="none" stroke="var(--accent)" stroke-width="1.5" points="${pts.map(p => `${x(p.date)},${y(p.y)}`).join(' ')}" />` +
+      pts.map(p => `<circle cx="${x(p.date)}" cy="${y(p.y)}" r="3.5" fill="${p.color || 'var(--accent)'}"><title>${p.date}: ${fmt(p.y, digits)}</title></circle>`).join('');
+  return `
+    <div class="chart">
+      <div class="label">${title}</div>
+      <svg viewBox="0 0 ${W} ${H}" role="img" aria-label="${title}">
+        <line x1="${PAD.l}" x2="${W - PAD.r}" y1="${y(yMin)}" y2="${y(yMin)}" class="axis" />
+        ${yMax !== yMin ? `<text x="${PAD.l - 4}" y="${y(yMax) + 4}" text-anchor="end">${fmt(yMax, digits)}</text>` : ''}
+        <text x="${PAD.l - 4}" y="${y(yMin)}" text-anchor="end">${fmt(yMin, digits)}</text>
+        <text x="${PAD.l}" y="${H - 4}">${pts[0].date}</text>
+        <text x="${W - PAD.r}" y="${H - 4}" text-anchor="end">${pts[pts.length - 1].date}</text>
+        ${marks}
+      </svg>
+    </div>`;
+}
+
+// Card-sized trend line without axes; points = [{ date, value }], spaced by date
+function sparkline(points, { title, digits = 3 } = {}) {
+  const pts = (points || []).filter(p => Number.isFinite(p.value));
+  if (pts.length < 2) return '';
+  const W = 120, H = 28, PAD = 3;
+  const t = (d) => Date.parse(`${d}T00:00:00Z`);
+  const t0 = t(pts[0].date), t1 = t(pts[pts.length - 1].date);
+  const vs = pts.map(p => p.value);
+  const lo = Math.min(...vs), span = Math.max(...vs) - lo || 1;
+  const x = (d) => PAD + (t1 > t0 ? (t(d) - t0) / (t1 - t0) : 0.5) * (W - 2 * PAD);
+  const y = (v) => PAD + (1 - (v - lo) / span) * (H - 2 * PAD);
+  const first = pts[0], last = pts[pts.length - 1];
+  return `<svg class="sparkline" viewBox="0 0 ${W} ${H}" role="img" aria-label="${title}">` +
+    `<title>${title}: ${first.date} ${fmt(first.value, digits)} → ${last.date} ${fmt(last.value, digits)}</title>` +
+    `<polyline fill="none" stroke="var(--accent)" stroke-width="1.5" points="${pts.map(p => `${x(p.date)},${y(p.value)}`).join(' ')}" />` +
+    `<circle cx="${x(last.date)}" cy="${y(last.value)}" r="2.5" fill="var(--accent)" /></svg>`;
 }
 
-function renderCards(rawHitters, { minPa = 85, sortKey = "score", sortDir = "desc" } = {}) {
+// Outcome color: got a hit / hitless / not graded or did not play
+function outcomeColor(actual) {
+  if (!actual?.pa) return '#64748b';
+  return actual.h > 0 ? '#22c55e' : '#ef4444';
+}
+
+function renderPlayerPage(playerId, history) {
   const container = $("#cards");
-  container.innerHTML = "";
-  const rows = (rawHitters || [])
+  container.className = 'player-page';
+  const back = new URL(location.href);
+  back.searchParams.delete('player');
+  const last = history[history.length - 1]?.row;
+  const played = history.filter(e => e.actual?.pa > 0);
+  const hits = played.filter(e => e.actual.h > 0).length;
+  const withP = played.filter(e => Number.isFinite(e.row.probabilities?.hit));
+  const avg = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+  const tableRows = history.slice().reverse().map(e => `
+        <tr>
+          <th scope="row">${e.date}</th>
+          <td>${fmtOrDash(e.row.opponentTeamName)}</td>
+          <td>${fmtOrDash(e.row.probable_pitcher_splits?.name)}</td>
+          <td>${fmtOrDash(e.row.projectedBattingOrder)}</td>
+          <td>${fmtOrDash(fmt(e.row.score, 0))}</td>
+          <td>${fmtPct(e.row.probabilities?.hit)}</td>
+          <td>${fmtOrDash(fmt(e.row.wtb_percent))}</td>
+          <td>${fmtOrDash(fmt(e.row.ops_last_7_days?.ops))}</td>
+          <td>${e.actual ? `${e.actual.h}/${e.actual.ab} (${e.actual.tb} TB)` : '—'}</td>
+        </tr>`).join('');
+  container.innerHTML = `
+    <p><a href="${back.search}" id="backToGames">← Back</a></p>
+    <h2>${last?.name ?? `Player ${playerId}`}</h2>
+    <div class="meta">
+      ${history.length} day(s) in the model • ${played.length} graded with a PA • hit in ${hits}/${played.length || 0}
+      ${withP.length ? ` • mean P(Hit) ${fmtPct(avg(withP.map(e => e.row.probabilities.hit)))} vs actual ${fmtPct(withP.filter(e => e.actual.h > 0).length / withP.length)}` : ''}
+    </div>
+    ${history.length ? `
+    <div class="charts">
+      ${lineChart(history.map(e => ({ date: e.date, y: e.row.score, color: outcomeColor(e.actual) })), { title: 'Score (green = hit, red = hitless, grey = not graded)', digits: 0 })}
+      ${lineChart(history.map(e => ({ date: e.date, y: e.row.wtb_percent })), { title: 'wTB%' })}
+      ${lineChart(history.map(e => ({ date: e.date, y: e.row.ops_last_7_days?.ops })), { title: 'OPS, last 7 days' })}
+      ${lineChart(history.map(e => ({ date: e.date, y: e.actual?.pa ? e.actual.tb : null, color: outcomeColor(e.actual) })), { title: 'Actual total bases', digits: 0, bars: true })}
+    </div>
+    <table class="stats-table">
+      <thead><tr><th>Date</th><th>Team</th><th>Pitcher</th><th>Slot</th><th>Score</th><th>P(Hit)</th><th>wTB%</th><th>OPS L7</th><th>Actual H/AB</th></tr></thead>
+      <tbody>${tableRows}</tbody>
+    </table>` : '<p class="meta">This player is not in any saved day</p>'}
+  `;
+}
+
+// Newest schemaVersion this UI knows (schema/daily.schema.json)
+const SUPPORTED_SCHEMA = 1;
+
+// The v1 layout (schemaVersion + meta, schema/daily.schema.json). Files from before it carry only hitters[].
+function normalizeDaily(data) {
+  const version = Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+  const meta = data?.meta ?? {};
+  return {
+    schemaVersion: version,
+    date: data?.date ?? null,
+    builtAt: meta.builtAt ?? null,
+    profile: meta.model ?? null,
+    // Recency windows the profile scores; files from before meta.form scored the 7-day OPS and 28-day H/9
+    form: meta.form ?? { hitter: '7d', pitcher: '28d' },
+    skippedGames: meta.skippedGames ?? [],
+    hitters: hittersOf(data),
+    games: Array.isArray(data?.games) ? data.games : [],
+    warning: version > SUPPORTED_SCHEMA ? `file schema v${version} is newer than this page (v${SUPPORTED_SCHEMA}); reload to update`
+      : version < 1 ? 'file predates schema v1 (no games, build info or skipped games); rebuild it to see them' : null
+  };
+}
+
+// Empty filter values mean "any"; number inputs arrive as strings
+function filterAndSort(rawHitters, {
+  minPa = 85, sortKey = "score", sortDir = "desc", confirmedOnly = false, slots = "",
+  team = "", game = "", hand = "", site = "", scoreMin = "", scoreMax = "", minAb = ""
+} = {}) {
+  const [slotLo, slotHi] = slotRange(slots);
+  const num = (v) => (v === '' || v == null ? null : Number(v));
+  const [lo, hi, ab] = [num(scoreMin), num(scoreMax), num(minAb)];
+  return (rawHitters || [])
     .filter(h => (h.season_pa ?? 0) >= Number(minPa || 0))
+    .filter(h => !confirmedOnly || h.lineupStatus === 'confirmed')
+    .filter(h => !slots || (h.projectedBattingOrder >= slotLo && h.projectedBattingOrder <= slotHi))
+    .filter(h => !team || h.opponentTeamName === team)
+    .filter(h => !game || String(h.gamePk) === String(game))
+    .filter(h => !hand || h.probable_pitcher_splits?.hand === hand)
+    .filter(h => !site || h.site === site)
+    .filter(h => lo == null || (h.score ?? -Infinity) >= lo)
+    .filter(h => hi == null || (h.score ?? Infinity) <= hi)
+    .filter(h => ab == null || (h.ops_vs_pitcher?.ab ?? 0) >= ab)
     .sort((a, b) => {
-      const av = Number.isFinite(a?.[sortKey]) ? a[sortKey] : -Infinity;
-      const bv = Number.isFinite(b?.[sortKey]) ? b[sortKey] : -Infinity;
+      // Text columns (name, team, ...) sort alphabetically, everything else numerically
+      if (typeof valueAt(a, sortKey) === 'string' || typeof valueAt(b, sortKey) === 'string') {
+        const cmp = String(valueAt(a, sortKey) ?? '').localeCompare(String(valueAt(b, sortKey) ?? ''));
+        return sortDir === "desc" ? -cmp : cmp;
+      }
+      const av = Number.isFinite(valueAt(a, sortKey)) ? valueAt(a, sortKey) : -Infinity;
+      const bv = Number.isFinite(valueAt(b, sortKey)) ? valueAt(b, sortKey) : -Infinity;
       return sortDir === "desc" ? (bv - av) : (av - bv);
     });
+}
+
+function playerHref(id) {
+  const url = new URL(location.href);
+  url.searchParams.set('player', id);
+  return url.search;
+}
+
+// Local start time; "TBD" for a game 2 that starts after game 1
+function startTime(iso, tbd = false) {
+  if (tbd) return 'TBD';
+  return iso ? new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : '';
+}
+
+// "Game 2 • 4:05 PM" for a doubleheader leg (game summary or hitter row), '' otherwise
+function legLabel(x) {
+  const label = x?.label ?? x?.gameLabel;
+  return label ? [label, startTime(x.gameTime, x.startTimeTBD)].filter(Boolean).join(' • ') : '';
+}
+
+const SKIP_LABELS = {
+  inputs_unavailable: 'inputs unavailable',
+  not_started: 'not started',
+  in_progress: 'game in progress',
+  already_final: 'game already final',
+  postponed: 'postponed',
+  suspended: 'suspended',
+  cancelled: 'cancelled'
+};
+
+// How a side's lineup was set (opponentLineupBasis)
+const LINEUP_BASIS_LABELS = {
+  posted: 'confirmed',
+  last_7_days: 'projected',
+  game_1_posted: "projected from game 1's posted lineup",
+  game_1_projected: "projected from game 1's projection"
+};
+
+function pitcherLink(p, { showHand = true } = {}) {
+  if (!p?.id) return 'TBD';
+  const url = new URL(location.href);
+  url.searchParams.set('pitcher', p.id);
+  return `<a href="${url.search}" class="pitcher-link" data-pitcher="${p.id}">${p.name ?? p.id}</a>${showHand && p.hand ? ` (${p.hand}HP)` : ''}`;
+}
+
+// Games view: one panel per game, each side's opposing lineup ranked under the current sort
+function renderGames(games, rawHitters, opts = {}) {
+  const container = $("#cards");
+  container.innerHTML = "";
+  container.className = 'games';
+  const rows = filterAndSort(rawHitters, opts);
+  for (const g of games) {
+    const panel = document.createElement('section');
+    panel.className = 'game-panel';
+    const time = startTime(g.gameTime, g.startTimeTBD);
+    // Hitters facing this side's probable
+    const column = (side) => {
+      const s = g[side];
+      const other = g[side === 'home' ? 'away' : 'home'];
+      const pid = s?.probablePitcher?.id;
+      const list = pid ? rows.filter(h => h.gamePk === g.gamePk && h.probable_pitcher_splits?.id === pid) : [];
+      const items = list.map(h => `
+            <tr>
+              <th scope="row">${h.name ?? ''}${h.lineupStatus === 'confirmed' ? ' <span class="badge badge-confirmed">C</span>' : ''}</th>
+              <td>${fmtOrDash(h.projectedBattingOrder)}</td>
+              <td>${fmtOrDash(fmt(h.score, 0))}</td>
+              <td>${fmtPct(h.probabilities?.hit)}</td>
+              <td>${fmtOrDash(h.ops_vs_pitcher?.ab)}</td>
+              <td>${fmtOrDash(fmt(h.ops_vs_pitcher?.ops))}</td>
+            </tr>`).join('');
+      // This game's own lineup (each doubleheader leg has one), before the H2H and PA cuts
+      const lineup = s?.opponentLineup ?? [];
+      const rested = (s?.opponentLineupRested ?? []).map(p => p.name ?? p.id).join(', ');
+      const lineupBlock = lineup.length ? `
+          <details class="leg-lineup">
+            <summary>Lineup (${LINEUP_BASIS_LABELS[s.opponentLineupBasis] ?? s.opponentLineupStatus ?? 'projected'}${rested ? `; ${rested} resting` : ''})</summary>
+            <ol>${lineup.map(p => `<li value="${p.slot}">${p.name ?? p.id}</li>`).join('')}</ol>
+          </details>` : '';
+      const skipReason = s?.skipReason && s.skipReason !== 'no_probable' ? SKIP_LABELS[s.skipReason] ?? s.skipReason : null;
+      return `
+        <div class="game-side">
+          <div class="label">${other?.team?.name ?? 'Opponent'} vs ${pitcherLink(s?.probablePitcher)}</div>
+          ${s && !s.analyzed && pid ? `<div class="meta">Not analyzed (${skipReason ?? 'inputs unavailable'})</div>` : ''}
+          ${lineupBlock}
+          ${list.length ? `
+          <table class="stats-table">
+            <thead><tr><th></th><th>Slot</th><th>Score</th><th>P(Hit)</th><th>AB</th><th>OPS</th></tr></thead>
+            <tbody>${items}</tbody>
+          </table>` : '<div class="meta">No hitters</div>'}
+        </div>`;
+    };
+    panel.innerHTML = `
+      <h3>${g.away?.team?.name ?? 'Away'} @ ${g.home?.team?.name ?? 'Home'}${g.label ? ` — ${g.label}` : ''}</h3>
+      <div class="meta">${[time, g.venue?.name, g.status].filter(Boolean).join(' • ')}</div>
+      <div class="game-sides">
+        ${column('home')}
+        ${column('away')}
+      </div>
+    `;
+    container.appendChild(panel);
+  }
+  if (!games.length) container.innerHTML = '<p class="meta">No games</p>';
+}
+
+// Pitcher page: every opposing hitter's splits vs one probable
+function renderPitcherPage(pitcherId, rawHitters, games, opts = {}) {
+  const container = $("#cards");
+  container.innerHTML = "";
+  container.className = 'pitcher-page';
+  const id = Number(pitcherId);
+  const rows = filterAndSort(rawHitters, opts).filter(h => h.probable_pitcher_splits?.id === id);
+  const side = games.flatMap(g => [g.home, g.away]).find(s => s?.probablePitcher?.id === id);
+  const p = rows[0]?.probable_pitcher_splits ?? side?.probablePitcher ?? { id };
+  const back = new URL(location.href);
+  back.searchParams.delete('pitcher');
+  const hitterRows = rows.map(h => {
+    const seasons = Array.isArray(h.ops_vs_pitcher?.seasons) ? h.ops_vs_pitcher.seasons : [];
+    return `
+          <tr>
+            <th scope="row">${h.name ?? ''}</th>
+            <td>${fmtOrDash(h.projectedBattingOrder)}</td>
+            <td>${fmtOrDash(h.ops_vs_pitcher?.pa)}</td>
+            <td>${fmtOrDash(h.ops_vs_pitcher?.ab)}</td>
+            <td>${fmtOrDash(fmt(h.ops_vs_pitcher?.ops))}</td>
+            <td>${seasons.map(s => `${s.season}: ${s.ab ?? 0} AB, ${fmt(s.ops) || '—'}`).join('<br>') || '—'}</td>
+            <td>${fmtOrDash(fmt(h.ops_vs_pitcher_hand?.ops))}</td>
+            <td>${fmtOrDash(fmt(h.probable_pitcher_splits?.hitsPer9Inn_vs_batter_side, 1))}</td>
+            <td>${fmtOrDash(fmt(h.score, 0))}</td>
+            <td>${fmtPct(h.probabilities?.hit)}</td>
+          </tr>`;
+  }).join('');
+  container.innerHTML = `
+    <p><a href="${back.search}" id="backToGames">← Back</a></p>
+    <h2>${p.name ?? `Pitcher ${id}`}${p.hand ? ` (${p.hand}HP)` : ''}</h2>
+    <div class="meta">H/9 ${fmtOrDash(fmt(p.hitsPer9Inn, 1))} • K% ${fmtPct(p.k_pct)} • BB% ${fmtPct(p.bb_pct)} • WHIP ${fmtOrDash(fmt(p.whip, 2))} • OPS vs LHB ${fmtOrDash(fmt(p.ops_vs_lhb))} / RHB ${fmtOrDash(fmt(p.ops_vs_rhb))}</div>
+    ${rows.length ? `
+    <table class="stats-table">
+      <thead><tr><th>Hitter</th><th>Slot</th><th>PA</th><th>AB</th><th>OPS</th><th>By season</th><th>OPS vs hand</th><th>H/9 vs side</th><th>Score</th><th>P(Hit)</th></tr></thead>
+      <tbody>${hitterRows}</tbody>
+    </table>` : '<p class="meta">No opposing hitters for this pitcher</p>'}
+  `;
+}
+
+// Table view columns: dotted path into the row (also the sort key), header, decimals (null = as is)
+const TABLE_COLUMNS = [
+  { key: 'name', label: 'Hitter' },
+  { key: 'opponentTeamName', label: 'Team' },
+  { key: 'gameLabel', label: 'Game' },
+  { key: 'site', label: 'Site' },
+  { key: 'projectedBattingOrder', label: 'Slot' },
+  { key: 'lineupStatus', label: 'Lineup' },
+  { key: 'probable_pitcher_splits.name', label: 'Pitcher' },
+  { key: 'probable_pitcher_splits.hand', label: 'Hand' },
+  { key: 'season_pa', label: 'PA' },
+  { key: 'wtb_percent', label: 'wTB%', digits: 3 },
+  { key: 'ops_vs_pitcher_hand.ops', label: 'OPS vs Hand', digits: 3 },
+  { key: 'ops_site.ops', label: 'OPS Site', digits: 3 },
+  { key: 'ops_last_7_days.ops', label: 'OPS L7', digits: 3 },
+  { key: 'form.ewma.ops', label: 'OPS Wtd', digits: 3 },
+  { key: 'ops_vs_pitcher.ab', label: 'H2H AB' },
+  { key: 'ops_vs_pitcher.ops', label: 'H2H OPS', digits: 3 },
+  { key: 'probable_pitcher_splits.hitsPer9Inn', label: 'SP H/9', digits: 1 },
+  { key: 'probable_pitcher_splits.hitsPer9Inn_last_28_days', label: 'SP H/9 28d', digits: 1 },
+  { key: 'probable_pitcher_splits.hitsPer9Inn_vs_batter_side', label: 'SP H/9 vs Side', digits: 1 },
+  { key: 'park_factor.hits', label: 'Park H' },
+  { key: 'bullpen.hitsPer9Inn', label: 'Pen H/9', digits: 1 },
+  { key: 'pa_split.starter', label: 'PA vs SP', digits: 1 },
+  { key: 'score', label: 'Score', digits: 0 },
+  { key: 'probabilities.hit', label: 'P(Hit)', digits: 3 },
+  { key: 'probabilities.tb2', label: 'P(2+ TB)', digits: 3 },
+  { key: 'probabilities.hr', label: 'P(HR)', digits: 3 }
+];
+
+// Fixed columns plus one per score_breakdown part present in the rows
+function tableColumns(rows) {
+  const parts = [];
+  for (const h of rows) {
+    for (const k of Object.keys(h.score_breakdown || {})) if (!parts.includes(k)) parts.push(k);
+  }
+  return [...TABLE_COLUMNS, ...parts.map(k => ({ key: `score_breakdown.${k}`, label: `Pts ${k}` }))];
+}
+
+function cellValue(h, col) {
+  const v = valueAt(h, col.key);
+  if (col.digits != null && Number.isFinite(v)) return fmt(v, col.digits);
+  return v ?? '';
+}
+
+// Dense table: one row per hitter, sticky header, click a header to sort by it
+function renderTable(rawHitters, opts = {}) {
+  const container = $("#cards");
+  container.innerHTML = "";
+  container.className = 'table-wrap';
+  const rows = filterAndSort(rawHitters, opts);
+  const cols = tableColumns(rows);
+  const arrow = (key) => (key === opts.sortKey ? (opts.sortDir === 'asc' ? ' ▲' : ' ▼') : '');
+  container.innerHTML = `
+    <table class="stats-table hitter-table">
+      <thead><tr>${cols.map(c => `<th data-sort="${c.key}" title="${c.key}">${c.label}${arrow(c.key)}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${rows.map(h => `<tr>${cols.map(c => `<td>${fmtOrDash(cellValue(h, c))}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Rows behind the current view (after filters and sort), for the download buttons
+let exportRows = [];
+let exportDate = 'today';
+
+function download(filename, body, type) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([body], { type }));
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+// "1-5" / "6-9" / "3" → [lo, hi]; empty = every slot
+function slotRange(spec) {
+  const m = String(spec || '').match(/^(\d)(?:-(\d))?$/);
+  return m ? [Number(m[1]), Number(m[2] ?? m[1])] : [1, 9];
+}
+
+function renderCards(rawHitters, opts = {}) {
+  const container = $("#cards");
+  container.innerHTML = "";
+  container.className = 'cards';
+  const rows = filterAndSort(rawHitters, opts);
   for (const h of rows) {
     const card = document.createElement('div');
     card.className = 'card';
@@ -76,24 +514,102 @@ function renderCards(rawHitters, { minPa = 85, sortKey = "score", sortDir = "des
     const handLabel = hand || 'LHP/RHP';
     const siteLabel = h.site || 'Home/Away';
     const wtbStr = h.wtb_percent != null ? fmt(h.wtb_percent, 3) : '';
+    // Regressed splits (profiles with shrinkage): an extra "Adj." column next to the raw OPS
+    const sh = h.shrunk;
+    const adjTitle = 'Shrunk toward the season line (season OPS toward league) by PA';
+    const adjHead = sh ? `<th title="${adjTitle}">Adj.</th>` : '';
+    const adjCell = (v) => sh ? `<td title="${adjTitle}">${fmtOrDash(fmt(v))}</td>` : '';
+    const wtbAdj = sh && Number.isFinite(sh.wtb) ? ` <span class="adj" title="Shrunk toward league wTB% by season PA">(adj. ${fmt(sh.wtb, 3)})</span>` : '';
+    const seasonOPS = Number.isFinite(h.season_line?.ops)
+      ? ` • Season OPS ${fmt(h.season_line.ops)}${sh && Number.isFinite(sh.season_ops) ? ` <span class="adj" title="Shrunk toward league OPS by season PA">(adj. ${fmt(sh.season_ops)})</span>` : ''}`
+      : '';
     const vsHandPA = h.ops_vs_pitcher_hand?.pa ?? '';
     const vsHandOPS = fmt(h.ops_vs_pitcher_hand?.ops);
     const sitePA = h.ops_site?.pa ?? '';
     const siteOPS = fmt(h.ops_site?.ops);
-    const l7PA = h.ops_last_7_days?.pa ?? '';
-    const l7OPS = fmt(h.ops_last_7_days?.ops);
+    // Recent form windows (rows with form): the scored one is highlighted and carries the Adj. value
+    const form = h.form;
+    const formKey = opts.form?.hitter ?? '7d';
+    const formRows = (form
+      ? [['7d', 'Last 7 Days'], ['14d', 'Last 14 Days'], ['30d', 'Last 30 Days'], ['ewma', `Weighted (${form.ewma?.half_life_days ?? '?'}d half-life)`]]
+      : [['7d', 'Last 7 Days']])
+      .map(([k, label]) => {
+        const line = form ? form[k] : h.ops_last_7_days;
+        const scored = k === formKey;
+        return `
+                  <tr${scored && form ? ' class="form-scored" title="Recency window this profile scores"' : ''}>
+                    <th scope="row">${label}</th>
+                    <td>${fmtOrDash(fmt(line?.pa, k === 'ewma' ? 1 : 0))}</td>
+                    <td>${fmtOrDash(fmt(line?.ops))}</td>${sh ? (scored ? adjCell(sh.ops_recent) : '<td></td>') : ''}
+                  </tr>`;
+      }).join('');
+    const formTrend = sparkline(form?.trend, { title: `Weighted OPS, last 30 days` });
+    const venueName = h.venue?.name || '';
+    const leg = legLabel(h);
+    const pf = h.park_factor;
+    const parkStr = pf?.known
+      ? `Park H ${pf.hits} / XBH ${pf.xbh} / HR ${pf.hr}${pf.hand ? ` (${pf.hand}HB)` : ''}`
+      : '';
+    const split = h.pa_split;
+    const penH9 = h.bullpen?.hitsPer9Inn;
+    const splitStr = split
+      ? `PA vs SP ${fmt(split.starter, 1)} • vs pen ${fmt(split.bullpen, 1)} (SP ~${fmt(split.starter_ip, 1)} IP${Number.isFinite(penH9) ? `, pen H/9 ${fmt(penH9, 1)}` : ''})`
+      : '';
     const vsPitcherName = h.probable_pitcher_splits?.name || '';
     const vsPitcherAB = h.ops_vs_pitcher?.ab ?? '';
     const vsPitcherOPS = fmt(h.ops_vs_pitcher?.ops);
-    const breakdownOrder = ['wtb','h9_side','h9_28','ops_hand','ops_site','last7','opp','h2h'];
+    const vsPitcherSpan = h.ops_vs_pitcher?.span ? ` (${h.ops_vs_pitcher.span})` : '';
+    const vsPitcherSeasons = Array.isArray(h.ops_vs_pitcher?.seasons) ? h.ops_vs_pitcher.seasons : [];
+    const vsPitcherSeasonRows = vsPitcherSeasons.length > 1
+      ? vsPitcherSeasons.map(s => `
+                  <tr class="sub-row">
+                    <th scope="row">${s.season}</th>
+                    <td>${fmtOrDash(s.ab)}</td>
+                    <td>${fmtOrDash(fmt(s.ops))}</td>${sh ? '<td></td>' : ''}
+                  </tr>`).join('')
+      : '';
+    const pp = h.probable_pitcher_splits || {};
+    const pitcherPanelRows = [
+      ['H/9 (season)', fmt(pp.hitsPer9Inn, 1)],
+      [`H/9 (${siteLabel})`, fmt(pp.hitsPer9Inn_site, 1)],
+      ['H/9 (28d)', fmt(pp.hitsPer9Inn_last_28_days, 1), '28d'],
+      ...(pp.form ? [
+        ['H/9 (7d)', fmt(pp.form['7d']?.h9, 1), '7d'],
+        ['H/9 (14d)', fmt(pp.form['14d']?.h9, 1), '14d'],
+        ['H/9 (30d)', fmt(pp.form['30d']?.h9, 1), '30d'],
+        [`H/9 (weighted, ${pp.form.ewma?.half_life_days ?? '?'}d half-life)`, fmt(pp.form.ewma?.h9, 1), 'ewma']
+      ] : []),
+      ['H/9 vs side', fmt(pp.hitsPer9Inn_vs_batter_side, 1)],
+      ['K%', fmtPct(pp.k_pct)],
+      ['BB%', fmtPct(pp.bb_pct)],
+      ['HR/9', fmt(pp.hr_per_9, 2)],
+      ['WHIP', fmt(pp.whip, 2)],
+      ['OPS vs LHB', fmt(pp.ops_vs_lhb)],
+      ['OPS vs RHB', fmt(pp.ops_vs_rhb)],
+      ['GB% / FB%', `${fmtPct(pp.gb_rate)} / ${fmtPct(pp.fb_rate)}`],
+      ['IP/start (last 5)', fmt(pp.ip_per_start_recent, 1)],
+      ['Pitches (last 5)', fmt(pp.pitches_per_start_recent, 0)]
+    ].map(([k, v, win]) => `<tr${pp.form && win === (opts.form?.pitcher ?? '28d') ? ' class="form-scored" title="Recency window this profile scores"' : ''}><th scope="row">${k}</th><td>${fmtOrDash(v)}</td></tr>`).join('');
+    const pitcherTrend = sparkline(pp.form?.trend, { title: 'Weighted H/9, last 30 days', digits: 1 });
+    // Optional pitcher components only appear when the profile weights them
+    const breakdownOrder = ['wtb','h9_side','h9_28','k_pct','bb_pct','hr9','whip','ops_allowed','gb_rate','pen','ops_hand','ops_site','last7','opp','park','h2h']
+      .filter(k => !['k_pct','bb_pct','hr9','whip','ops_allowed','gb_rate'].includes(k) || k in bd);
     const breakdownLabels = {
       wtb: 'WTB',
       h9_side: 'H9 vs Side',
       h9_28: 'H9 (28d)',
+      k_pct: 'SP K%',
+      bb_pct: 'SP BB%',
+      hr9: 'SP HR/9',
+      whip: 'SP WHIP',
+      ops_allowed: 'SP OPS vs Side',
+      gb_rate: 'SP GB%',
       ops_hand: 'OPS vs Hand',
       ops_site: 'OPS Site',
-      last7: 'Last 7',
+      last7: 'Recent Form',
       opp: 'Opportunity',
+      park: 'Park',
+      pen: 'Bullpen',
       h2h: 'H2H'
     };
     const breakdownRows = breakdownOrder.map(k => {
@@ -103,14 +619,25 @@ function renderCards(rawHitters, { minPa = 85, sortKey = "score", sortDir = "des
     }).join('');
 
     card.innerHTML = `
-      <h3>${h.name ?? ''}</h3>
+      <h3><a href="${playerHref(h.id)}" class="player-link" title="History across saved days">${h.name ?? ''}</a></h3>
       ${h.headshot ? `<img src="${h.headshot}" alt="${h.name}" />` : ''}
       <div class="score">${fmt(h.score, 0)}</div>
-      <div class="meta">Batting ${h.projectedBattingOrder ?? ''} • Season PA ${h.season_pa ?? ''}</div>
+      ${h.probabilities ? `
+      <div class="probs">
+        <span title="Probability of 1+ hit">Hit <b>${fmtPct(h.probabilities.hit)}</b></span>
+        <span title="Probability of 2+ total bases">2+ TB <b>${fmtPct(h.probabilities.tb2)}</b></span>
+        <span title="Probability of 1+ home run">HR <b>${fmtPct(h.probabilities.hr)}</b></span>
+      </div>` : ''}
+      <div class="meta">
+        Batting ${h.projectedBattingOrder ?? ''}${h.lineupStatus === 'confirmed' ? ' <span class="badge badge-confirmed" title="Posted lineup">Confirmed</span>' : ''}${h.lineupBasis?.startsWith('game_1') ? ' <span class="badge badge-leg" title="Game 2 lineup projected from game 1\'s lineup">From G1</span>' : ''} • Season PA ${h.season_pa ?? ''}
+      </div>
+      ${leg ? `<div class="meta" title="Doubleheader leg">${h.opponentTeamName ?? ''} • ${leg}</div>` : ''}
+      ${splitStr ? `<div class="meta" title="Expected plate appearances vs the starter and the bullpen">${splitStr}</div>` : ''}
+      ${venueName ? `<div class="meta" title="Park factors, 100 = league average">${venueName}${parkStr ? ` • ${parkStr}` : ''}</div>` : ''}
       <div class="stats">
         <div class="stat stat-full">
           <span class="label">wTB %:</span>
-          <div class="line">${wtbStr}</div>
+          <div class="line">${wtbStr}${wtbAdj}${seasonOPS}</div>
         </div>
         <div class="stats-two">
           <div class="stats-two-headers">
@@ -121,38 +648,45 @@ function renderCards(rawHitters, { minPa = 85, sortKey = "score", sortDir = "des
             <div class="stat">
               <table class="stats-table">
                 <thead>
-                  <tr><th></th><th>PA</th><th>OPS</th></tr>
+                  <tr><th></th><th>PA</th><th>OPS</th>${adjHead}</tr>
                 </thead>
                 <tbody>
                   <tr>
                     <th scope="row">vs ${handLabel}</th>
                     <td>${fmtOrDash(vsHandPA)}</td>
-                    <td>${fmtOrDash(vsHandOPS)}</td>
+                    <td>${fmtOrDash(vsHandOPS)}</td>${adjCell(sh?.ops_vs_pitcher_hand)}
                   </tr>
                   <tr>
                     <th scope="row">${siteLabel}</th>
                     <td>${fmtOrDash(sitePA)}</td>
-                    <td>${fmtOrDash(siteOPS)}</td>
-                  </tr>
-                  <tr>
-                    <th scope="row">Last 7 Days</th>
-                    <td>${fmtOrDash(l7PA)}</td>
-                    <td>${fmtOrDash(l7OPS)}</td>
+                    <td>${fmtOrDash(siteOPS)}</td>${adjCell(sh?.ops_site)}
                   </tr>
+${formRows}
                 </tbody>
               </table>
+              ${formTrend ? `<div class="form-trend"><span class="label">Form</span>${formTrend}</div>` : ''}
               <table class="stats-table" style="margin-top:8px;">
                 <thead>
-                  <tr><th></th><th>AB</th><th>OPS</th></tr>
+                  <tr><th></th><th>AB</th><th>OPS</th>${adjHead}</tr>
                 </thead>
                 <tbody>
                   <tr>
-                    <th scope="row">vs ${vsPitcherName}</th>
+                    <th scope="row">vs ${vsPitcherName ? pitcherLink(h.probable_pitcher_splits, { showHand: false }) : ''}${vsPitcherSpan}</th>
                     <td>${fmtOrDash(vsPitcherAB)}</td>
-                    <td>${fmtOrDash(vsPitcherOPS)}</td>
-                  </tr>
+                    <td>${fmtOrDash(vsPitcherOPS)}</td>${adjCell(sh?.ops_vs_pitcher)}
+                  </tr>${vsPitcherSeasonRows}
                 </tbody>
               </table>
+              ${pp.name ? `
+              <details class="pitcher-panel">
+                <summary>${pp.name}${hand ? ` (${hand})` : ''}</summary>
+                <table class="stats-table">
+                  <tbody>
+                    ${pitcherPanelRows}
+                  </tbody>
+                </table>
+                ${pitcherTrend ? `<div class="form-trend"><span class="label">Form</span>${pitcherTrend}</div>` : ''}
+              </details>` : ''}
             </div>
             <div class="stat score-col">
               <table class="stats-table">
@@ -172,6 +706,147 @@ function renderCards(rawHitters, { minPa = 85, sortKey = "score", sortDir = "des
   }
 }
 
+// ---------- changes between builds (api/snapshots/DATE/) ----------
+// From/To choices: every snapshot of the date, plus the previous built date's file
+async function refreshDiffPanel(dateStr) {
+  const panel = $("#diffPanel");
+  if (!panel || !dateStr) return;
+  const base = getSiteBase();
+  const idx = await fetchJSONOrNull(`${base}api/snapshots/${dateStr}/index.json`);
+  const snaps = idx?.snapshots ?? [];
+  const prevDay = builtDates().filter(d => d < dateStr).pop();
+  const options = [
+    ...(prevDay ? [{ value: `${base}api/${prevDay}.json`, label: `${prevDay} (previous day, latest build)` }] : []),
+    ...snaps.map(sn => ({ value: `${base}api/snapshots/${dateStr}/${sn.file}`, label: `${fmtBuiltAt(sn.builtAt)} — ${sn.hitters ?? '?'} hitters` }))
+  ];
+  if (options.length < 2) {
+    panel.innerHTML = `<div class="meta">Only one build saved for ${dateStr}; nothing to compare yet.</div>`;
+    return;
+  }
+  const opt = (o, sel) => `<option value="${o.value}"${o.value === sel ? ' selected' : ''}>${o.label}</option>`;
+  const from = options[options.length - 2].value, to = options[options.length - 1].value;
+  panel.innerHTML = `
+    <div class="diff-controls">
+      <label>From: <select id="diffFrom">${options.map(o => opt(o, from)).join('')}</select></label>
+      <label>To: <select id="diffTo">${options.map(o => opt(o, to)).join('')}</select></label>
+      <label>Score Δ ≥ <input type="number" id="diffThreshold" min="0" value="${DEFAULT_THRESHOLD}" /></label>
+    </div>
+    <div id="diffBody" class="meta">Comparing…</div>
+  `;
+  const run = async () => {
+    const [a, b] = await Promise.all([fetchJSONOrNull($("#diffFrom").value), fetchJSONOrNull($("#diffTo").value)]);
+    if (!a || !b) {
+      $("#diffBody").textContent = 'Snapshot unavailable';
+      return;
+    }
+    renderDiff(diffSlates(a, b, { threshold: Number($("#diffThreshold").value) || 0 }));
+  };
+  ['diffFrom', 'diffTo', 'diffThreshold'].forEach(id => document.getElementById(id)?.addEventListener('change', run));
+  await run();
+}
+
+function renderDiff(d) {
+  const body = $("#diffBody");
+  const who = (h) => `${h.name}${h.team ? ` <span class="meta">${h.team}</span>` : ''}`;
+  const list = (title, items, fmtItem) => items.length ? `
+      <div class="diff-group">
+        <div class="label">${title} (${items.length})</div>
+        <ul>${items.map(x => `<li>${fmtItem(x)}</li>`).join('')}</ul>
+      </div>` : '';
+  const html = [
+    list('Probable changes', d.pitcherChanges, p => `${p.team ?? `Game ${p.gamePk} ${p.side}`}: ${p.from?.name ?? 'TBD'} → <b>${p.to?.name ?? 'TBD'}</b>`),
+    list('Added', d.added, h => `${who(h)} — slot ${fmtOrDash(h.slot)}, score ${fmtOrDash(fmt(h.score, 0))}`),
+    list('Dropped', d.dropped, h => who(h)),
+    list('Slot changes', d.slotChanges, h => `${who(h)}: ${fmtOrDash(h.from)} → <b>${fmtOrDash(h.to)}</b>${h.lineupStatus === 'confirmed' ? ' <span class="badge badge-confirmed">Confirmed</span>' : ''}`),
+    list(`Score moves ≥ ${d.threshold}`, d.scoreChanges, h => `${who(h)}: ${fmt(h.from, 0)} → <b>${fmt(h.to, 0)}</b> (<span class="${h.delta > 0 ? 'up' : 'down'}">${h.delta > 0 ? '+' : ''}${fmt(h.delta, 0)}</span>)`)
+  ].join('');
+  body.className = '';
+  body.innerHTML = html || '<div class="meta">No changes</div>';
+}
+
+// ---------- built dates (api/index.json) ----------
+let manifest = null; // { dates: [{ date, games, hitters, builtAt, graded }] } or null when missing
+
+async function loadManifest() {
+  const m = await fetchJSONOrNull(`${getSiteBase()}api/index.json`);
+  manifest = Array.isArray(m?.dates)
+    ? { ...m, dates: m.dates.map(d => (typeof d === 'string' ? { date: d } : d)) }
+    : null;
+  return manifest;
+}
+
+function builtDates() {
+  return (manifest?.dates ?? []).map(d => d.date).sort();
+}
+
+function manifestEntry(dateStr) {
+  return (manifest?.dates ?? []).find(d => d.date === dateStr) ?? null;
+}
+
+function fmtBuiltAt(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '';
+  return d.toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+}
+
+// Nearest built date before (delta < 0) or after (delta > 0) iso; without a manifest step one day
+function stepDate(iso, delta) {
+  const dates = builtDates();
+  if (!manifest) return addDaysISO(iso, delta);
+  if (delta < 0) return dates.filter(d => d < iso).pop() ?? null;
+  return dates.find(d => d > iso) ?? null;
+}
+
+// Grey out the date input and the prev/next buttons when there is nothing to load
+function updateDateAvailability() {
+  const dateInput = $("#dateInput");
+  const iso = dateInput.value?.trim();
+  const dates = builtDates();
+  if (manifest && dates.length) {
+    dateInput.min = dates[0];
+    dateInput.max = dates[dates.length - 1];
+  }
+  const missing = Boolean(manifest) && !dates.includes(iso);
+  dateInput.classList?.toggle('unavailable', missing);
+  dateInput.title = missing ? 'No build for this date' : (manifestEntry(iso)
+    ? `${manifestEntry(iso).games ?? '?'} games, ${manifestEntry(iso).hitters ?? '?'} hitters`
+    : '');
+  $("#prevBtn").disabled = Boolean(manifest) && !stepDate(iso, -1);
+  $("#nextBtn").disabled = Boolean(manifest) && !stepDate(iso, 1);
+  renderCalendar();
+}
+
+// Month grid under the date input: built dates are clickable, the rest greyed out
+let calendarMonth = null; // "YYYY-MM" shown in the popover
+function renderCalendar() {
+  const el = document.getElementById('calendar');
+  if (!el || el.hidden) return;
+  const iso = $("#dateInput").value?.trim() || builtDates().pop() || '';
+  calendarMonth ??= iso.slice(0, 7);
+  const [y, m] = calendarMonth.split('-').map(Number);
+  if (!y || !m) return;
+  const pad = (n) => String(n).padStart(2, '0');
+  const first = new Date(Date.UTC(y, m - 1, 1));
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const built = new Set(builtDates());
+  const cells = Array.from({ length: first.getUTCDay() }, () => '<span></span>');
+  for (let d = 1; d <= days; d++) {
+    const ds = `${y}-${pad(m)}-${pad(d)}`;
+    const e = manifestEntry(ds);
+    cells.push(built.has(ds)
+      ? `<button type="button" data-date="${ds}" class="${ds === iso ? 'selected' : ''}" title="${e?.games ?? '?'} games, ${e?.hitters ?? '?'} hitters${e?.builtAt ? `, built ${fmtBuiltAt(e.builtAt)}` : ''}">${d}</button>`
+      : `<span class="off">${d}</span>`);
+  }
+  el.innerHTML = `
+    <div class="cal-head">
+      <button type="button" data-month="-1">‹</button>
+      <span>${first.toLocaleString([], { month: 'long', year: 'numeric', timeZone: 'UTC' })}</span>
+      <button type="button" data-month="1">›</button>
+    </div>
+    <div class="cal-grid">${['S', 'M', 'T', 'W', 'T', 'F', 'S'].map(d => `<span class="dow">${d}</span>`).join('')}${cells.join('')}</div>
+  `;
+}
+
 function addDaysISO(iso, delta) {
   const d = new Date(iso);
   if (Number.isNaN(d.getTime())) return iso;
@@ -188,13 +863,111 @@ function getSortParamsFromControls() {
   return { sortKey, sortDir };
 }
 
+// Filter controls and their URL params; values equal to the default stay out of the URL
+const FILTER_CONTROLS = [
+  { id: 'teamSelect', param: 'team', key: 'team', def: '' },
+  { id: 'gameSelect', param: 'game', key: 'game', def: '' },
+  { id: 'handSelect', param: 'hand', key: 'hand', def: '' },
+  { id: 'siteSelect', param: 'site', key: 'site', def: '' },
+  { id: 'slotSelect', param: 'slots', key: 'slots', def: '' },
+  { id: 'minPaInput', param: 'minPa', key: 'minPa', def: '85' },
+  { id: 'scoreMinInput', param: 'scoreMin', key: 'scoreMin', def: '' },
+  { id: 'scoreMaxInput', param: 'scoreMax', key: 'scoreMax', def: '' },
+  { id: 'minAbInput', param: 'minAb', key: 'minAb', def: '' },
+  { id: 'confirmedOnly', param: 'confirmed', key: 'confirmedOnly', checkbox: true }
+];
+
+function getFilterParamsFromControls() {
+  const out = {};
+  for (const f of FILTER_CONTROLS) {
+    const el = document.getElementById(f.id);
+    out[f.key] = f.checkbox ? Boolean(el?.checked) : (el?.value ?? f.def);
+  }
+  out.view = document.getElementById('viewSelect')?.value || 'cards';
+  out.pitcherId = new URLSearchParams(location.search).get('pitcher') || null;
+  out.playerId = new URLSearchParams(location.search).get('player') || null;
+  return out;
+}
+
+// Select whose options depend on the loaded day; an option from the URL is kept even if absent
+function setSelectOptions(sel, options, current) {
+  if (!sel) return;
+  const values = new Set(options.map(o => o.value));
+  if (current && !values.has(current)) options = [...options, { value: current, label: current }];
+  sel.innerHTML = options.map(o => `<option value="${o.value}">${o.label}</option>`).join('');
+  sel.value = current || '';
+}
+
+function populateFilterOptions(hitters, games) {
+  const sp = new URLSearchParams(location.search);
+  const teams = Array.from(new Set((hitters || []).map(h => h.opponentTeamName).filter(Boolean))).sort();
+  setSelectOptions(document.getElementById('teamSelect'),
+    [{ value: '', label: 'All' }, ...teams.map(t => ({ value: t, label: t }))], sp.get('team') || '');
+  setSelectOptions(document.getElementById('gameSelect'),
+    [{ value: '', label: 'All' }, ...(games || []).map(g => ({
+      value: String(g.gamePk),
+      label: `${g.away?.team?.name ?? 'Away'} @ ${g.home?.team?.name ?? 'Home'}${g.label ? ` (${g.label})` : ''}`
+    }))], sp.get('game') || '');
+}
+
+// Any numeric field of the rows (nested objects up to two levels, e.g. score_breakdown.h2h) can be a sort key
+const FIXED_SORTS = ['score', 'wtb_percent', 'probabilities.hit', 'probabilities.tb2', 'probabilities.hr'];
+function numericPaths(rows) {
+  const paths = new Set();
+  const walk = (obj, prefix, depth) => {
+    for (const [k, v] of Object.entries(obj || {})) {
+      const key = prefix ? `${prefix}.${k}` : k;
+      if (/(^|\.)(id|gamePk|teamId)$/.test(key)) continue;
+      if (typeof v === 'number') paths.add(key);
+      else if (v && typeof v === 'object' && !Array.isArray(v) && depth < 2) walk(v, key, depth + 1);
+    }
+  };
+  (rows || []).slice(0, 50).forEach(r => walk(r, '', 0));
+  return Array.from(paths).filter(p => !FIXED_SORTS.includes(p)).sort();
+}
+
+function populateSortOptions(hitters) {
+  const sel = document.getElementById('sortSelect');
+  if (!sel) return;
+  const current = sel.value || new URLSearchParams(location.search).get('sort') || 'score';
+  const paths = numericPaths(hitters);
+  sel.querySelector('optgroup[data-dynamic]')?.remove();
+  sel.querySelectorAll('option[data-extra]').forEach(o => { if (paths.includes(o.value)) o.remove(); });
+  const group = document.createElement('optgroup');
+  group.label = 'All numeric fields';
+  group.dataset.dynamic = '1';
+  group.innerHTML = paths.map(p => `<option value="${p}">${p}</option>`).join('');
+  sel.appendChild(group);
+  sel.value = current;
+}
+
 function setControlsFromQuery() {
   const sp = new URLSearchParams(location.search);
   const qSort = sp.get('sort');
   const qDir = sp.get('dir');
   const sel = document.getElementById('sortSelect');
   const btn = document.getElementById('sortDirBtn');
-  if (qSort && sel) sel.value = qSort;
+  if (qSort && sel) {
+    // Keys outside the fixed list only exist once data is loaded; keep the one from the URL
+    if (!Array.from(sel.options).some(o => o.value === qSort)) {
+      const opt = document.createElement('option');
+      opt.value = qSort;
+      opt.textContent = qSort;
+      opt.dataset.extra = '1';
+      sel.appendChild(opt);
+    }
+    sel.value = qSort;
+  }
+  for (const f of FILTER_CONTROLS) {
+    const el = document.getElementById(f.id);
+    if (!el) continue;
+    if (f.checkbox) el.checked = sp.get(f.param) === '1';
+    else if (el.tagName === 'SELECT') {
+      setSelectOptions(el, Array.from(el.options).map(o => ({ value: o.value, label: o.textContent })), sp.get(f.param) ?? f.def);
+    } else el.value = sp.get(f.param) ?? f.def;
+  }
+  const viewSel = document.getElementById('viewSelect');
+  if (viewSel) viewSel.value = ['games', 'table'].includes(sp.get('view')) ? sp.get('view') : 'cards';
   if (btn) {
     const dir = (qDir === 'asc' || qDir === 'desc') ? qDir : 'desc';
     btn.dataset.dir = dir;
@@ -207,6 +980,16 @@ function updateQueryFromControls() {
   const url = new URL(location.href);
   url.searchParams.set('sort', sortKey);
   url.searchParams.set('dir', sortDir);
+  const filters = getFilterParamsFromControls();
+  for (const f of FILTER_CONTROLS) {
+    const v = filters[f.key];
+    const isDefault = f.checkbox ? !v : String(v).trim() === f.def;
+    if (isDefault) url.searchParams.delete(f.param);
+    else url.searchParams.set(f.param, f.checkbox ? '1' : String(v).trim());
+  }
+  const { view } = filters;
+  if (view !== 'cards') url.searchParams.set('view', view);
+  else url.searchParams.delete('view');
   history.replaceState(null, '', url);
 }
 
@@ -237,52 +1020,147 @@ function initControls() {
     history.replaceState(null, '', url);
     updateQueryFromControls();
     const { sortKey, sortDir } = getSortParamsFromControls();
-    loadData({ dateStr, minPa: 85, sortKey, sortDir });
+    loadData({ dateStr, sortKey, sortDir, ...getFilterParamsFromControls() });
   });
 
   // Auto-load when the date input changes or Enter is pressed
   const triggerLoad = () => {
     const dateStr = dateInput.value?.trim();
+    updateDateAvailability();
     const url = new URL(location.href);
     url.searchParams.set('date', dateStr);
     history.replaceState(null, '', url);
     updateQueryFromControls();
     const { sortKey, sortDir } = getSortParamsFromControls();
-    loadData({ dateStr, minPa: 85, sortKey, sortDir });
+    loadData({ dateStr, sortKey, sortDir, ...getFilterParamsFromControls() });
   };
   dateInput.addEventListener('change', triggerLoad);
+
+  const calendar = document.getElementById('calendar');
+  document.getElementById('calendarBtn')?.addEventListener('click', () => {
+    calendar.hidden = !calendar.hidden;
+    calendarMonth = (dateInput.value?.trim() || '').slice(0, 7) || null;
+    renderCalendar();
+  });
+  calendar?.addEventListener('click', (e) => {
+    const day = e.target.closest?.('button[data-date]');
+    const step = e.target.closest?.('button[data-month]');
+    if (step) {
+      const [y, m] = calendarMonth.split('-').map(Number);
+      const d = new Date(Date.UTC(y, m - 1 + Number(step.dataset.month), 1));
+      calendarMonth = `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+      renderCalendar();
+    } else if (day) {
+      dateInput.value = day.dataset.date;
+      calendar.hidden = true;
+      triggerLoad();
+    }
+  });
   dateInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') triggerLoad();
   });
 
   prevBtn.addEventListener('click', () => {
     const dateStr = dateInput.value?.trim();
-    const prev = addDaysISO(dateStr, -1);
+    const prev = stepDate(dateStr, -1);
+    if (!prev) return;
     dateInput.value = prev;
+    updateDateAvailability();
     const url = new URL(location.href);
     url.searchParams.set('date', prev);
     history.replaceState(null, '', url);
     updateQueryFromControls();
     const { sortKey, sortDir } = getSortParamsFromControls();
-    loadData({ dateStr: prev, minPa: 85, sortKey, sortDir });
+    loadData({ dateStr: prev, sortKey, sortDir, ...getFilterParamsFromControls() });
   });
 
   nextBtn.addEventListener('click', () => {
     const dateStr = dateInput.value?.trim();
-    const next = addDaysISO(dateStr, 1);
+    const next = stepDate(dateStr, 1);
+    if (!next) return;
     dateInput.value = next;
+    updateDateAvailability();
     const url = new URL(location.href);
     url.searchParams.set('date', next);
     history.replaceState(null, '', url);
     updateQueryFromControls();
     const { sortKey, sortDir } = getSortParamsFromControls();
-    loadData({ dateStr: next, minPa: 85, sortKey, sortDir });
+    loadData({ dateStr: next, sortKey, sortDir, ...getFilterParamsFromControls() });
   });
 
   sortSelect?.addEventListener('change', () => {
     updateQueryFromControls();
     const { sortKey, sortDir } = getSortParamsFromControls();
-    loadData({ dateStr: dateInput.value?.trim(), minPa: 85, sortKey, sortDir });
+    loadData({ dateStr: dateInput.value?.trim(), sortKey, sortDir, ...getFilterParamsFromControls() });
+  });
+
+  FILTER_CONTROLS.map(f => f.id).forEach(id => document.getElementById(id)?.addEventListener('change', () => {
+    updateQueryFromControls();
+    const { sortKey, sortDir } = getSortParamsFromControls();
+    loadData({ dateStr: dateInput.value?.trim(), sortKey, sortDir, ...getFilterParamsFromControls() });
+  }));
+
+  // Leaving the pitcher or player page: switching views drops ?pitcher / ?player
+  document.getElementById('viewSelect')?.addEventListener('change', () => {
+    const url = new URL(location.href);
+    url.searchParams.delete('pitcher');
+    url.searchParams.delete('player');
+    history.replaceState(null, '', url);
+    updateQueryFromControls();
+    const { sortKey, sortDir } = getSortParamsFromControls();
+    loadData({ dateStr: dateInput.value?.trim(), sortKey, sortDir, ...getFilterParamsFromControls() });
+  });
+
+  // Table header click: sort by that column (same column again flips the direction)
+  $("#cards")?.addEventListener('click', (e) => {
+    const th = e.target.closest?.('th[data-sort]');
+    if (!th) return;
+    const key = th.dataset.sort;
+    if (sortSelect && !Array.from(sortSelect.options).some(o => o.value === key)) {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = key;
+      opt.dataset.extra = '1';
+      sortSelect.appendChild(opt);
+    }
+    const same = sortSelect?.value === key;
+    if (sortSelect) sortSelect.value = key;
+    const dir = same && sortDirBtn?.dataset.dir === 'desc' ? 'asc' : 'desc';
+    if (sortDirBtn) {
+      sortDirBtn.dataset.dir = dir;
+      sortDirBtn.textContent = dir === 'desc' ? 'Desc' : 'Asc';
+    }
+    updateQueryFromControls();
+    const { sortKey, sortDir } = getSortParamsFromControls();
+    loadData({ dateStr: dateInput.value?.trim(), sortKey, sortDir, ...getFilterParamsFromControls() });
+  });
+
+  document.getElementById('changesBtn')?.addEventListener('click', () => {
+    const panel = $("#diffPanel");
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) refreshDiffPanel(dateInput.value?.trim());
+  });
+
+  document.getElementById('csvBtn')?.addEventListener('click', () => {
+    download(`${exportDate}.csv`, hittersToCSV(exportRows), 'text/csv');
+  });
+  document.getElementById('jsonBtn')?.addEventListener('click', () => {
+    download(`${exportDate}.json`, JSON.stringify(exportRows, null, 2), 'application/json');
+  });
+
+  // Pitcher / player links and the back link navigate in place
+  $("#cards")?.addEventListener('click', (e) => {
+    const a = e.target.closest?.('a.pitcher-link, a.player-link, a#backToGames');
+    if (!a) return;
+    e.preventDefault();
+    history.pushState(null, '', a.getAttribute('href'));
+    const { sortKey, sortDir } = getSortParamsFromControls();
+    loadData({ dateStr: dateInput.value?.trim(), sortKey, sortDir, ...getFilterParamsFromControls() });
+  });
+  window.addEventListener('popstate', () => {
+    setControlsFromQuery();
+    const { sortKey, sortDir } = getSortParamsFromControls();
+    loadData({ dateStr: dateInput.value?.trim(), sortKey, sortDir, ...getFilterParamsFromControls() });
   });
 
   sortDirBtn?.addEventListener('click', () => {
@@ -291,14 +1169,22 @@ function initControls() {
     sortDirBtn.textContent = dir === 'desc' ? 'Desc' : 'Asc';
     updateQueryFromControls();
     const { sortKey, sortDir } = getSortParamsFromControls();
-    loadData({ dateStr: dateInput.value?.trim(), minPa: 85, sortKey, sortDir });
+    loadData({ dateStr: dateInput.value?.trim(), sortKey, sortDir, ...getFilterParamsFromControls() });
   });
 }
 
 initControls();
-// Initial load based on current controls
-(() => {
-  const dateStr = $("#dateInput").value;
+// Initial load based on current controls; without ?date, fall back to the newest built date
+// when today has no build yet
+(async () => {
+  await loadManifest();
+  const dateInput = $("#dateInput");
+  const dates = builtDates();
+  if (!new URLSearchParams(location.search).get('date') && manifest && dates.length && !dates.includes(dateInput.value)) {
+    dateInput.value = dates[dates.length - 1];
+  }
+  updateDateAvailability();
+  const dateStr = dateInput.value;
   const { sortKey, sortDir } = getSortParamsFromControls();
-  loadData({ dateStr, minPa: 85, sortKey, sortDir });
+  loadData({ dateStr, sortKey, sortDir, ...getFilterParamsFromControls() });
 })();